@@ -0,0 +1,90 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-abort.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const EnvsensorErrors = require('./envsensor-errors.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorAbort()
+* - Helpers for the `signal` parameter. Any object which has the
+*   `aborted` property and the `addEventListener()` and the
+*   `removeEventListener()` methods is accepted as an `AbortSignal`.
+* ---------------------------------------------------------------- */
+const EnvsensorAbort = function () { };
+
+/* ------------------------------------------------------------------
+* Method: check(signal)
+* - Returns `null` if the `signal` is `null`, `undefined` or a valid
+*   `AbortSignal` which has not been aborted. Otherwise, returns a
+*   `ValidationError` or an `AbortError`.
+* ---------------------------------------------------------------- */
+EnvsensorAbort.prototype.check = function (signal) {
+	if (signal === null || signal === undefined) {
+		return null;
+	}
+	if (typeof (signal) !== 'object' || typeof (signal.addEventListener) !== 'function' || typeof (signal.removeEventListener) !== 'function') {
+		return new EnvsensorErrors.ValidationError('The `signal` must be an `AbortSignal` object.', 'signal');
+	}
+	if (signal.aborted) {
+		return new EnvsensorErrors.AbortError();
+	}
+	return null;
+};
+
+/* ------------------------------------------------------------------
+* Method: throwIfAborted(signal)
+* - Throws an `AbortError` if the `signal` has been aborted.
+* ---------------------------------------------------------------- */
+EnvsensorAbort.prototype.throwIfAborted = function (signal) {
+	if (signal && signal.aborted) {
+		throw new EnvsensorErrors.AbortError();
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: watch(signal, listener)
+* - Calls the `listener` once when the `signal` is aborted.
+* - Returns a function which stops watching the `signal`.
+* ---------------------------------------------------------------- */
+EnvsensorAbort.prototype.watch = function (signal, listener) {
+	if (!signal) {
+		return () => { };
+	}
+	let onabort = () => {
+		signal.removeEventListener('abort', onabort);
+		listener();
+	};
+	signal.addEventListener('abort', onabort);
+	return () => {
+		signal.removeEventListener('abort', onabort);
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: race(signal, promise)
+* - Returns a `Promise` object settled with the `promise`, or rejected
+*   with an `AbortError` as soon as the `signal` is aborted. The task
+*   behind the `promise` is expected to stop by itself, checking the
+*   `signal` at safe points.
+* ---------------------------------------------------------------- */
+EnvsensorAbort.prototype.race = function (signal, promise) {
+	if (!signal) {
+		return promise;
+	}
+	let wrapped = new Promise((resolve, reject) => {
+		let unwatch = this.watch(signal, () => {
+			reject(new EnvsensorErrors.AbortError());
+		});
+		promise.then((res) => {
+			unwatch();
+			resolve(res);
+		}, (error) => {
+			unwatch();
+			reject(error);
+		});
+	});
+	return wrapped;
+};
+
+module.exports = new EnvsensorAbort();
@@ -0,0 +1,83 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-advertisement-stream.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const Readable = require('stream').Readable;
+const util = require('util');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorAdvertisementStream(envsensor, params)
+* - An object-mode `Readable` stream of the parsed advertisement data.
+*   It is also an async iterator, so it can be used in `for await`.
+* - envsensor:
+*     The `Envsensor` object which is scanning.
+* - params:
+*     localNames    : List of the local names to be passed through
+*                     (e.g., ["IM", "EP"]). If empty, all are passed.
+*     highWaterMark : Maximum number of the buffered advertisements.
+*
+* - The advertisements are pushed only while the consumer is reading.
+*   While the buffer is full, new advertisements are dropped and
+*   counted in the `droppedCount` property.
+* ---------------------------------------------------------------- */
+const EnvsensorAdvertisementStream = function (envsensor, params) {
+	Readable.call(this, {
+		objectMode: true,
+		highWaterMark: params['highWaterMark']
+	});
+
+	// Public properties
+	this.droppedCount = 0;
+
+	// Private properties
+	this._envsensor = envsensor;
+	this._local_names = params['localNames'];
+	this._reading = true;
+	this._stopped = false;
+	this._onadvertisement = (ad) => {
+		this._receive(ad);
+	};
+	envsensor.on('advertisement', this._onadvertisement);
+};
+util.inherits(EnvsensorAdvertisementStream, Readable);
+
+EnvsensorAdvertisementStream.prototype._receive = function (ad) {
+	if (this._stopped) {
+		return;
+	}
+	if (this._local_names.length > 0 && this._local_names.indexOf(ad['localName']) === -1) {
+		return;
+	}
+	if (!this._reading) {
+		this.droppedCount++;
+		return;
+	}
+	this._reading = this.push(ad);
+};
+
+EnvsensorAdvertisementStream.prototype._read = function () {
+	this._reading = true;
+};
+
+// Called by the `Envsensor` object when the scan is stopped
+EnvsensorAdvertisementStream.prototype._stop = function () {
+	if (this._stopped) {
+		return;
+	}
+	this._stopped = true;
+	this._envsensor.removeListener('advertisement', this._onadvertisement);
+	this.push(null);
+};
+
+EnvsensorAdvertisementStream.prototype._destroy = function (error, callback) {
+	let stopped = this._stopped;
+	this._stopped = true;
+	this._envsensor.removeListener('advertisement', this._onadvertisement);
+	if (!stopped) {
+		this._envsensor.stopScan();
+	}
+	callback(error);
+};
+
+module.exports = EnvsensorAdvertisementStream;
@@ -3,11 +3,24 @@
 * Date: 2018-05-31
 * ---------------------------------------------------------------- */
 'use strict';
+const ValidationError = require('./envsensor-errors.js').ValidationError;
 
 /* ------------------------------------------------------------------
 * Constructor: EnvsensorAdvertising()
 * ---------------------------------------------------------------- */
-const EnvsensorAdvertising = function() {};
+const EnvsensorAdvertising = function() {
+	// Private
+	this._EVENT_FLAG_NAMES = [
+		'temperature',
+		'humidity',
+		'ambientLight',
+		'uvIndex',
+		'pressure',
+		'soundNoise',
+		'discomfortIndex',
+		'heatStroke'
+	];
+};
 
 /* ------------------------------------------------------------------
 * Method: parse(peripheral)
@@ -18,23 +31,95 @@ EnvsensorAdvertising.prototype.parse = function(peripheral) {
 		return null;
 	}
 	let ad = peripheral.advertisement;
-	let manu = ad.manufacturerData;
-	let local_name = ad.localName;
-	if(!local_name || !/^(Env|IM|EP)$/.test(local_name)) {
-		return null;
-	}
-	let company_id = manu ? manu.slice(1, 2).toString('hex') + manu.slice(0, 1).toString('hex') : '';
-	if(!/^(02d5|004c)$/.test(company_id)) {
+	let parsed = this._parseManufacturerData(ad.localName, ad.manufacturerData);
+	if(!parsed) {
 		return null;
 	}
-	let res = {
+	return {
 		id         : peripheral.id,
 		uuid       : peripheral.uuid,
 		address    : peripheral.address,
 		localName  : ad.localName,
 		rssi       : peripheral.rssi,
-		companyId  : company_id,
-		data       : {}
+		companyId  : parsed['companyId'],
+		data       : parsed['data']
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: parseManufacturerData(localName, buf)
+* - localName: Local name in the advertising packet ("Env", "IM" or "EP")
+* - buf: `Buffer` object of the manufacturer specific data, including
+*        the company identifier in the first 2 bytes
+*
+* - Returns the same object as the `data` property of the result of the
+*   `parse()` method, or `null` if the packet was not sent by the device.
+* ---------------------------------------------------------------- */
+EnvsensorAdvertising.prototype.parseManufacturerData = function(local_name, buf) {
+	let parsed = this._parseManufacturerData(local_name, buf);
+	return parsed ? parsed['data'] : null;
+};
+
+/* ------------------------------------------------------------------
+* Method: parseAdvertisingData(buf)
+* - buf: `Buffer` object of the AD structures in an advertising packet.
+*        The AD structures of the scan response can be concatenated.
+*
+* - Returns an object containing the `localName`, the `companyId` and
+*   the `data`, or `null` if the packet was not sent by the device.
+* ---------------------------------------------------------------- */
+EnvsensorAdvertising.prototype.parseAdvertisingData = function(buf) {
+	if(!Buffer.isBuffer(buf)) {
+		return null;
+	}
+	let local_name = '';
+	let manu = null;
+	let offset = 0;
+	while(offset < buf.length) {
+		let len = buf.readUInt8(offset);
+		if(len === 0) {
+			// The rest is padded with zeros
+			break;
+		}
+		if(offset + 1 + len > buf.length) {
+			return null;
+		}
+		let type = buf.readUInt8(offset + 1);
+		let value = buf.slice(offset + 2, offset + 1 + len);
+		if(type === 0x08 || type === 0x09) {
+			// Shortened or Complete Local Name
+			local_name = value.toString('utf8');
+		} else if(type === 0xff) {
+			// Manufacturer Specific Data
+			manu = value;
+		}
+		offset += 1 + len;
+	}
+	let parsed = this._parseManufacturerData(local_name, manu);
+	if(!parsed) {
+		return null;
+	}
+	return {
+		localName : local_name,
+		companyId : parsed['companyId'],
+		data      : parsed['data']
+	};
+};
+
+EnvsensorAdvertising.prototype._parseManufacturerData = function(local_name, manu) {
+	if(!local_name || !/^(Env|IM|EP)$/.test(local_name)) {
+		return null;
+	}
+	if(!Buffer.isBuffer(manu) || manu.length < 2) {
+		return null;
+	}
+	let company_id = manu.slice(1, 2).toString('hex') + manu.slice(0, 1).toString('hex');
+	if(!/^(02d5|004c)$/.test(company_id)) {
+		return null;
+	}
+	let res = {
+		companyId : company_id,
+		data      : {}
 	};
 	let manu_len = manu.length;
 	let d = res['data'];
@@ -112,16 +197,7 @@ EnvsensorAdvertising.prototype.parse = function(peripheral) {
 
 EnvsensorAdvertising.prototype._parseEventFlag = function(buf) {
 	let res = {};
-	[
-		'temperature',
-		'humidity',
-		'ambientLight',
-		'uvIndex',
-		'pressure',
-		'soundNoise',
-		'discomfortIndex',
-		'heatStroke'
-	].forEach((pname, offset) => {
+	this._EVENT_FLAG_NAMES.forEach((pname, offset) => {
 		let n = buf.readUInt8(offset);
 		res[pname] = {
 			lowerLimit      : (n & 0b00100000) ? true : false,
@@ -138,6 +214,189 @@ EnvsensorAdvertising.prototype._parseEventFlag = function(buf) {
 	return res;
 };
 
+/* ------------------------------------------------------------------
+* Method: createManufacturerData(format, data)
+* - format: "A" (Beacon), "B" (Connection Advertise 1),
+*           "C" (Connection Advertise 2), "D" (Sensor ADV 1),
+*           or "E" (Sensor ADV 2)
+* - data: The same structure as the `data` property of the result of
+*         the `parse()` method. The `discomfortIndex` and the `heatStroke`
+*         are calculated from the `temperature` and the `humidity` if
+*         they are not specified. The flags not specified in the
+*         `eventFlag` are regarded as `false`.
+*
+* - Returns `{buffer}` containing the manufacturer specific data
+*   (including the company identifier), or `{error}`.
+* ---------------------------------------------------------------- */
+EnvsensorAdvertising.prototype.createManufacturerData = function(format, data) {
+	if(!data || typeof(data) !== 'object') {
+		return {error: new ValidationError('The `data` must be an object.', 'data')};
+	}
+	let buf = null;
+	let err = null;
+	if(format === 'A') {
+		// (A) Beacon
+		buf = Buffer.alloc(25);
+		buf.writeUInt16LE(0x004c, 0);
+		buf.writeUInt8(0x02, 2);
+		buf.writeUInt8(0x15, 3);
+		err = this._writeUuid(buf, 4, data) ||
+			this._writeUInt(buf, 20, data, 'major', 0xffff, 2) ||
+			this._writeUInt(buf, 22, data, 'minor', 0xffff, 2) ||
+			this._writeUInt(buf, 24, data, 'txPower', 0xff, 1);
+	} else if(format === 'B') {
+		// (B) Connection Advertise 1
+		buf = Buffer.alloc(29);
+		buf.writeUInt16LE(0x02d5, 0);
+		err = this._writeUInt(buf, 2, data, 'page', 2047, 2) ||
+			this._writeUInt(buf, 4, data, 'row', 12, 1) ||
+			this._writeUniqueId(buf, 5, data) ||
+			this._writeEventFlag(buf, 9, data) ||
+			this._writeInt16(buf, 18, data, 'temperature', 100) ||
+			this._writeInt16(buf, 20, data, 'humidity', 100) ||
+			this._writeInt16(buf, 22, data, 'ambientLight', 1) ||
+			this._writeInt16(buf, 24, data, 'pressure', 10) ||
+			this._writeInt16(buf, 26, data, 'soundNoise', 100) ||
+			this._writeBattery(buf, 28, data);
+	} else if(format === 'C') {
+		// (C) Connection Advertise 2
+		buf = Buffer.alloc(17);
+		buf.writeUInt16LE(0x02d5, 0);
+		err = this._checkUInt(data, 'page', 2047) ||
+			this._checkUInt(data, 'row', 12) ||
+			this._writeUniqueId(buf, 4, data) ||
+			this._writeEventFlag(buf, 8, data);
+		if(!err) {
+			buf.writeUInt16LE((data['page'] << 4) | data['row'], 2);
+		}
+	} else if(format === 'D' || format === 'E') {
+		// (D) Sensor ADV 1 / (E) Sensor ADV 2
+		buf = Buffer.alloc(22);
+		buf.writeUInt16LE(0x02d5, 0);
+		err = this._writeUInt(buf, 2, data, 'sequenceNumber', 0xff, 1) ||
+			this._writeInt16(buf, 3, data, 'temperature', 100) ||
+			this._writeInt16(buf, 5, data, 'humidity', 100) ||
+			this._writeInt16(buf, 7, data, 'ambientLight', 1) ||
+			this._writeInt16(buf, 9, data, 'uvIndex', 100) ||
+			this._writeInt16(buf, 11, data, 'pressure', 10) ||
+			this._writeInt16(buf, 13, data, 'soundNoise', 100) ||
+			this._writeBattery(buf, 21, data);
+		if(!err && format === 'D') {
+			err = this._writeInt16(buf, 15, data, 'accelerationX', 10) ||
+				this._writeInt16(buf, 17, data, 'accelerationY', 10) ||
+				this._writeInt16(buf, 19, data, 'accelerationZ', 10);
+		} else if(!err) {
+			let calc = {
+				discomfortIndex : ('discomfortIndex' in data) ? data['discomfortIndex'] : this._calcDiscomfortIndex(data['temperature'], data['humidity']),
+				heatStroke      : ('heatStroke' in data) ? data['heatStroke'] : this._calcHeatStroke(data['temperature'], data['humidity'])
+			};
+			err = this._writeInt16(buf, 15, calc, 'discomfortIndex', 100) ||
+				this._writeInt16(buf, 17, calc, 'heatStroke', 100);
+		}
+	} else {
+		err = new ValidationError('The `format` must be "A", "B", "C", "D", or "E".', 'format');
+	}
+	if(err) {
+		return {error: err};
+	}
+	return {buffer: buf};
+};
+
+EnvsensorAdvertising.prototype._checkUInt = function(data, name, max) {
+	let v = data[name];
+	if(typeof(v) !== 'number' || v % 1 !== 0 || v < 0 || v > max) {
+		return new ValidationError('The `' + name + '` must be an integer in the range of 0 to ' + max + '.', name);
+	}
+	return null;
+};
+
+// Writes the `data[name]` as an unsigned integer of the `size` bytes
+EnvsensorAdvertising.prototype._writeUInt = function(buf, offset, data, name, max, size) {
+	let err = this._checkUInt(data, name, max);
+	if(err) {
+		return err;
+	}
+	if(size === 2) {
+		buf.writeUInt16LE(data[name], offset);
+	} else {
+		buf.writeUInt8(data[name], offset);
+	}
+	return null;
+};
+
+// Writes the `data[name]` multiplied by the `mul` as a signed 16-bit integer
+EnvsensorAdvertising.prototype._writeInt16 = function(buf, offset, data, name, mul) {
+	let v = data[name];
+	if(typeof(v) !== 'number' || !isFinite(v)) {
+		return new ValidationError('The `' + name + '` must be a number.', name);
+	}
+	let n = Math.round(v * mul);
+	if(n < -32768 || n > 32767) {
+		return new ValidationError('The `' + name + '` must be in the range of ' + (-32768 / mul) + ' to ' + (32767 / mul) + '.', name);
+	}
+	buf.writeInt16LE(n, offset);
+	return null;
+};
+
+// The battery voltage (mV) is encoded as (v / 10) - 100
+EnvsensorAdvertising.prototype._writeBattery = function(buf, offset, data) {
+	let v = data['batteryVoltage'];
+	let n = (typeof(v) === 'number') ? Math.round(v / 10) - 100 : NaN;
+	if(!(n >= 0 && n <= 255)) {
+		return new ValidationError('The `batteryVoltage` must be a number in the range of 1000 to 3550.', 'batteryVoltage');
+	}
+	buf.writeUInt8(n, offset);
+	return null;
+};
+
+EnvsensorAdvertising.prototype._writeUuid = function(buf, offset, data) {
+	let v = data['uuid'];
+	let hex = (typeof(v) === 'string') ? v.replace(/\-/g, '') : '';
+	if(!/^[0-9a-fA-F]{32}$/.test(hex)) {
+		return new ValidationError('The `uuid` must be a UUID string.', 'uuid');
+	}
+	Buffer.from(hex, 'hex').copy(buf, offset);
+	return null;
+};
+
+EnvsensorAdvertising.prototype._writeUniqueId = function(buf, offset, data) {
+	let v = data['uniqueId'];
+	if(typeof(v) !== 'string' || !/^[0-9a-fA-F]{8}$/.test(v)) {
+		return new ValidationError('The `uniqueId` must be a hexadecimal string of 8 characters.', 'uniqueId');
+	}
+	Buffer.from(v, 'hex').copy(buf, offset);
+	return null;
+};
+
+EnvsensorAdvertising.prototype._writeEventFlag = function(buf, offset, data) {
+	let flags = ('eventFlag' in data) ? data['eventFlag'] : {};
+	if(!flags || typeof(flags) !== 'object') {
+		return new ValidationError('The `eventFlag` must be an object.', 'eventFlag');
+	}
+	this._createEventFlag(flags).copy(buf, offset);
+	return null;
+};
+
+// Creates the 9 bytes of the event flag, which is the same format as
+// the characteristic `3006`. The flags not specified are regarded as `false`.
+EnvsensorAdvertising.prototype._createEventFlag = function(flags) {
+	let buf = Buffer.alloc(9);
+	this._EVENT_FLAG_NAMES.forEach((pname, offset) => {
+		let f = flags[pname] || {};
+		let n = 0;
+		if(f['lowerLimit'])      { n = n | 0b00100000; }
+		if(f['upperLimit'])      { n = n | 0b00010000; }
+		if(f['declineTerm'])     { n = n | 0b00001000; }
+		if(f['riseTerm'])        { n = n | 0b00000100; }
+		if(f['declinePrevious']) { n = n | 0b00000010; }
+		if(f['risePrevious'])    { n = n | 0b00000001; }
+		buf.writeUInt8(n, offset);
+	});
+	let others = flags['others'] || {};
+	buf.writeUInt8(others['batteryReplacement'] ? 0x01 : 0x00, 8);
+	return buf;
+};
+
 EnvsensorAdvertising.prototype._calcDiscomfortIndex = function(temp, humi) {
 	let idx = (0.81 * temp) + 0.01 * humi * ((0.99 * temp) - 14.3) + 46.3;
 	idx = Math.round(idx * 100) / 100;
@@ -0,0 +1,92 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-beacon-merger.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorBeaconMerger()
+* - In the Alternate Beacon mode (0x07), the device advertises the
+*   format (A) (iBeacon) and the format (B) alternately. This object
+*   keeps the last packet of each format for each device, and combines
+*   them into one record.
+* ---------------------------------------------------------------- */
+const EnvsensorBeaconMerger = function () {
+	this._devices = {};
+	// A packet older than this is not combined
+	this._MAX_AGE_MSEC = 60000;
+};
+
+/* ------------------------------------------------------------------
+* Method: merge(ad, time)
+* - ad: The advertisement data parsed by the `EnvsensorAdvertising`.
+* - time: `Date` object of the reception time.
+*
+* - Returns the combined record if the `ad` is the format (A) or (B)
+*   and the packet of the other format has been received from the same
+*   device recently. Otherwise, returns `null`.
+* ---------------------------------------------------------------- */
+EnvsensorBeaconMerger.prototype.merge = function (ad, time) {
+	let part = this._getPart(ad);
+	if (!part) {
+		return null;
+	}
+	let dev = this._devices[ad['address']];
+	if (!dev) {
+		dev = { beacon: null, sensor: null };
+		this._devices[ad['address']] = dev;
+	}
+	dev[part] = { ad: ad, time: time };
+
+	let beacon = dev['beacon'];
+	let sensor = dev['sensor'];
+	if (!beacon || !sensor) {
+		return null;
+	}
+	let other = (part === 'beacon') ? sensor : beacon;
+	if (time.getTime() - other['time'].getTime() > this._MAX_AGE_MSEC) {
+		return null;
+	}
+	let data = {};
+	Object.keys(sensor['ad']['data']).forEach((k) => {
+		data[k] = sensor['ad']['data'][k];
+	});
+	['uuid', 'major', 'minor', 'txPower'].forEach((k) => {
+		data[k] = beacon['ad']['data'][k];
+	});
+	return {
+		id: ad['id'],
+		uuid: ad['uuid'],
+		address: ad['address'],
+		localName: sensor['ad']['localName'],
+		rssi: ad['rssi'],
+		data: data,
+		beaconReceived: beacon['time'],
+		sensorReceived: sensor['time']
+	};
+};
+
+// Returns "beacon" for the format (A), "sensor" for the format (B),
+// or `null` for the others.
+EnvsensorBeaconMerger.prototype._getPart = function (ad) {
+	let data = ad['data'];
+	if (!data) {
+		return null;
+	}
+	if (ad['companyId'] === '004c' && 'txPower' in data) {
+		return 'beacon';
+	}
+	if (ad['localName'] === 'Env' && 'temperature' in data) {
+		return 'sensor';
+	}
+	return null;
+};
+
+/* ------------------------------------------------------------------
+* Method: reset()
+* ---------------------------------------------------------------- */
+EnvsensorBeaconMerger.prototype.reset = function () {
+	this._devices = {};
+};
+
+module.exports = EnvsensorBeaconMerger;
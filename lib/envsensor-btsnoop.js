@@ -0,0 +1,512 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-btsnoop.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const fs = require('fs');
+const EnvsensorAdvertising = require('./envsensor-advertising.js');
+const EnvsensorChars = require('./envsensor-chars.js');
+const EnvsensorErrors = require('./envsensor-errors.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorBtsnoop()
+* - Reads the btsnoop files (e.g., written by `btmon -w`), and extracts
+*   the events related to the device: the LE advertising reports, the
+*   connections, and the ATT PDUs of the 0C4Cxxxx characteristics.
+* - The datalink types supported are 1001 (HCI un-encapsulated), 1002
+*   (HCI UART, H4) and 2001 (Linux monitor, written by the btmon).
+* ---------------------------------------------------------------- */
+const EnvsensorBtsnoop = function () {
+	// Private
+	this._BASE_UUID_RE = /^0c4c([a-f\d]{4})770046f4aa96d5e974e32a54$/;
+	// The timestamp of the btsnoop is microseconds since 0000-01-01.
+	// This is the 1970-01-01 in the format, split into 32-bit halves.
+	this._EPOCH_HI = 0x00dcddb3;
+	this._EPOCH_LO = 0x0f2f8000;
+	this._CHAR_NAMES = {
+		'3001': 'Latest data',
+		'3002': 'Latest page',
+		'3003': 'Request page',
+		'3004': 'Response flag',
+		'3005': 'Response data',
+		'3006': 'Event flag',
+		'3011': 'Measurement interval',
+		'3013': 'Temperature',
+		'3014': 'Relative humidity',
+		'3015': 'Ambient light',
+		'3016': 'UV Index',
+		'3017': 'Pressure',
+		'3018': 'Sound noise',
+		'3019': 'Discomfort index',
+		'301a': 'Heat stroke',
+		'3031': 'Time information',
+		'3032': 'LED on duration',
+		'3033': 'Error status',
+		'3034': 'Trigger',
+		'3041': 'UUIDs',
+		'3042': 'ADV setting',
+		'3053': 'DFU Revision'
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: readFile(path[, options])
+* - Reads the btsnoop file, then passes the list of the events to the
+*   `resolve()` function. See the `parse()` method for details.
+* ---------------------------------------------------------------- */
+EnvsensorBtsnoop.prototype.readFile = function (path, options) {
+	let promise = new Promise((resolve, reject) => {
+		fs.readFile(path, (error, buf) => {
+			if (error) {
+				reject(new EnvsensorErrors.EnvsensorError('Failed to read the btsnoop file: ' + error.message, 'ERR_BTSNOOP_FILE', error));
+				return;
+			}
+			let res = this.parse(buf, options);
+			if (res['error']) {
+				reject(res['error']);
+			} else {
+				resolve(res['events']);
+			}
+		});
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: parse(buf[, options])
+* - buf: `Buffer` object of a whole btsnoop file
+* - options:
+*     handles : Map of the attribute handles to the characteristic UUIDs
+*               (e.g., { "0x0019": "3001" }). It is used for the
+*               handles which are not found in the GATT discovery in the
+*               log, as the BLE stack may cache the handles.
+*
+* - Returns a hash object containing the `events` property (a list of
+*   the events), or the `error` property if the file is not a btsnoop
+*   file. A truncated record at the end of the file is ignored.
+* - Each event has the `time` (`Date` object) and the `type` property.
+*   The `type` is one of:
+*     advertisement : `address`, `rssi`, `localName`, `companyId`, `data`
+*     connect       : `connection`, `address`
+*     disconnect    : `connection`, `address`, `reason`
+*     read, write, notify, indicate :
+*                     `connection`, `address`, `charUuid`, `charName`,
+*                     `value` (`Buffer`), `data` (parsed or `null`)
+*     subscribe     : `connection`, `address`, `charUuid`, `charName`,
+*                     `enabled`
+*     error         : `connection`, `address`, `charUuid`, `charName`,
+*                     `request` ("read" or "write"), `errorCode`
+* ---------------------------------------------------------------- */
+EnvsensorBtsnoop.prototype.parse = function (buf, options) {
+	if (!Buffer.isBuffer(buf) || buf.length < 16 || buf.slice(0, 8).toString('latin1') !== 'btsnoop\u0000') {
+		return { error: new EnvsensorErrors.EnvsensorError('The data is not a btsnoop file.', 'ERR_BTSNOOP_FORMAT') };
+	}
+	let version = buf.readUInt32BE(8);
+	let datalink = buf.readUInt32BE(12);
+	if (version !== 1) {
+		return { error: new EnvsensorErrors.EnvsensorError('The btsnoop version ' + version + ' is not supported.', 'ERR_BTSNOOP_FORMAT') };
+	}
+	if (datalink !== 1001 && datalink !== 1002 && datalink !== 2001) {
+		return { error: new EnvsensorErrors.EnvsensorError('The datalink type ' + datalink + ' is not supported.', 'ERR_BTSNOOP_FORMAT') };
+	}
+	let res = this._parseHandleMap((options && options['handles']) || {});
+	if (res['error']) {
+		return res;
+	}
+	let ctx = {
+		events: [],
+		handle_map: res['handles'],
+		handles: {}, // Discovered handles for each connection
+		addresses: {}, // Peer addresses for each connection
+		fragments: {}, // ACL fragments being reassembled
+		pending: {}, // Read requests waiting for the response
+		last_adv: {} // Last advertising data for each address
+	};
+	let offset = 16;
+	while (offset + 24 <= buf.length) {
+		let incl_len = buf.readUInt32BE(offset + 4);
+		let flags = buf.readUInt32BE(offset + 8);
+		let ts_hi = buf.readUInt32BE(offset + 16);
+		let ts_lo = buf.readUInt32BE(offset + 20);
+		if (offset + 24 + incl_len > buf.length) {
+			break;
+		}
+		let pkt = buf.slice(offset + 24, offset + 24 + incl_len);
+		offset += 24 + incl_len;
+		let us = (ts_hi - this._EPOCH_HI) * 0x100000000 + (ts_lo - this._EPOCH_LO);
+		let time = new Date(Math.floor(us / 1000));
+		let hci = this._classifyPacket(datalink, flags, pkt);
+		if (!hci) {
+			continue;
+		}
+		if (hci['type'] === 'event') {
+			this._parseEvent(ctx, time, hci['data']);
+		} else if (hci['type'] === 'acl') {
+			this._parseAcl(ctx, time, hci['direction'], hci['data']);
+		}
+	}
+	return { events: ctx.events };
+};
+
+EnvsensorBtsnoop.prototype._parseHandleMap = function (map) {
+	let handles = {};
+	if (typeof (map) !== 'object') {
+		return { error: new EnvsensorErrors.ValidationError('The `handles` must be a hash object.', 'handles') };
+	}
+	for (let k in map) {
+		let handle = parseInt(k);
+		let uuid = map[k];
+		if (isNaN(handle) || handle < 1 || handle > 0xffff || typeof (uuid) !== 'string' || !/^[a-fA-F\d]{4}$/.test(uuid)) {
+			return { error: new EnvsensorErrors.ValidationError('The `handles` must map the attribute handles to the UUIDs (e.g., "3001").', 'handles') };
+		}
+		handles[handle] = uuid.toLowerCase();
+	}
+	return { handles: handles };
+};
+
+// Returns the type ("event" or "acl"), the direction ("tx": host to
+// controller, "rx": controller to host) and the HCI packet without the
+// packet type indicator, or `null` if the packet is not interesting.
+EnvsensorBtsnoop.prototype._classifyPacket = function (datalink, flags, pkt) {
+	if (datalink === 2001) {
+		let opcode = flags & 0xffff;
+		if (opcode === 3) {
+			return { type: 'event', direction: 'rx', data: pkt };
+		} else if (opcode === 4) {
+			return { type: 'acl', direction: 'tx', data: pkt };
+		} else if (opcode === 5) {
+			return { type: 'acl', direction: 'rx', data: pkt };
+		}
+		return null;
+	}
+	let direction = (flags & 0x01) ? 'rx' : 'tx';
+	if (datalink === 1002) {
+		if (pkt.length < 1) {
+			return null;
+		}
+		let indicator = pkt.readUInt8(0);
+		if (indicator === 0x04) {
+			return { type: 'event', direction: direction, data: pkt.slice(1) };
+		} else if (indicator === 0x02) {
+			return { type: 'acl', direction: direction, data: pkt.slice(1) };
+		}
+		return null;
+	}
+	// 1001: The bit 1 of the flags means a command or an event
+	if (flags & 0x02) {
+		return (direction === 'rx') ? { type: 'event', direction: direction, data: pkt } : null;
+	}
+	return { type: 'acl', direction: direction, data: pkt };
+};
+
+EnvsensorBtsnoop.prototype._parseEvent = function (ctx, time, pkt) {
+	if (pkt.length < 2) {
+		return;
+	}
+	let code = pkt.readUInt8(0);
+	let params = pkt.slice(2, 2 + pkt.readUInt8(1));
+	if (code === 0x05 && params.length >= 4) {
+		// Disconnection Complete
+		if (params.readUInt8(0) !== 0) {
+			return;
+		}
+		let conn = params.readUInt16LE(1) & 0x0fff;
+		ctx.events.push({
+			time: time,
+			type: 'disconnect',
+			connection: conn,
+			address: ctx.addresses[conn] || null,
+			reason: params.readUInt8(3)
+		});
+		delete ctx.handles[conn];
+		delete ctx.addresses[conn];
+		delete ctx.pending[conn];
+	} else if (code === 0x3e && params.length >= 1) {
+		// LE Meta event
+		let sub = params.readUInt8(0);
+		if (sub === 0x01 || sub === 0x0a) {
+			this._parseConnectionComplete(ctx, time, params);
+		} else if (sub === 0x02) {
+			this._parseAdvertisingReports(ctx, time, params);
+		} else if (sub === 0x0d) {
+			this._parseExtendedAdvertisingReports(ctx, time, params);
+		}
+	}
+};
+
+// LE Connection Complete (0x01) and LE Enhanced Connection Complete (0x0a)
+EnvsensorBtsnoop.prototype._parseConnectionComplete = function (ctx, time, params) {
+	if (params.length < 12 || params.readUInt8(1) !== 0) {
+		return;
+	}
+	let conn = params.readUInt16LE(2) & 0x0fff;
+	let address = this._readAddress(params, 6);
+	ctx.addresses[conn] = address;
+	ctx.handles[conn] = {};
+	ctx.events.push({
+		time: time,
+		type: 'connect',
+		connection: conn,
+		address: address
+	});
+};
+
+// LE Advertising Report (0x02)
+EnvsensorBtsnoop.prototype._parseAdvertisingReports = function (ctx, time, params) {
+	let num = params.length >= 2 ? params.readUInt8(1) : 0;
+	let offset = 2;
+	for (let i = 0; i < num; i++) {
+		if (offset + 9 > params.length) {
+			return;
+		}
+		let evt_type = params.readUInt8(offset);
+		let address = this._readAddress(params, offset + 2);
+		let len = params.readUInt8(offset + 8);
+		if (offset + 10 + len > params.length) {
+			return;
+		}
+		let data = params.slice(offset + 9, offset + 9 + len);
+		let rssi = params.readInt8(offset + 9 + len);
+		this._addAdvertisement(ctx, time, address, rssi, data, evt_type === 0x04);
+		offset += 10 + len;
+	}
+};
+
+// LE Extended Advertising Report (0x0d)
+EnvsensorBtsnoop.prototype._parseExtendedAdvertisingReports = function (ctx, time, params) {
+	let num = params.length >= 2 ? params.readUInt8(1) : 0;
+	let offset = 2;
+	for (let i = 0; i < num; i++) {
+		if (offset + 24 > params.length) {
+			return;
+		}
+		let evt_type = params.readUInt16LE(offset);
+		let address = this._readAddress(params, offset + 3);
+		let rssi = params.readInt8(offset + 13);
+		let len = params.readUInt8(offset + 23);
+		if (offset + 24 + len > params.length) {
+			return;
+		}
+		let data = params.slice(offset + 24, offset + 24 + len);
+		this._addAdvertisement(ctx, time, address, rssi, data, (evt_type & 0x08) ? true : false);
+		offset += 24 + len;
+	}
+};
+
+EnvsensorBtsnoop.prototype._addAdvertisement = function (ctx, time, address, rssi, data, scan_rsp) {
+	let parsed = EnvsensorAdvertising.parseAdvertisingData(data);
+	if (scan_rsp) {
+		// The local name may be in the advertising data
+		if (!parsed && ctx.last_adv[address]) {
+			parsed = EnvsensorAdvertising.parseAdvertisingData(Buffer.concat([ctx.last_adv[address], data]));
+		}
+	} else {
+		ctx.last_adv[address] = data;
+	}
+	if (!parsed) {
+		return;
+	}
+	ctx.events.push({
+		time: time,
+		type: 'advertisement',
+		address: address,
+		rssi: rssi,
+		localName: parsed['localName'],
+		companyId: parsed['companyId'],
+		data: parsed['data']
+	});
+};
+
+EnvsensorBtsnoop.prototype._readAddress = function (buf, offset) {
+	let bytes = [];
+	for (let i = 5; i >= 0; i--) {
+		bytes.push(('0' + buf.readUInt8(offset + i).toString(16)).slice(-2));
+	}
+	return bytes.join(':');
+};
+
+EnvsensorBtsnoop.prototype._parseAcl = function (ctx, time, direction, pkt) {
+	if (pkt.length < 4) {
+		return;
+	}
+	let hdr = pkt.readUInt16LE(0);
+	let conn = hdr & 0x0fff;
+	let pb = (hdr >> 12) & 0x03;
+	let payload = pkt.slice(4, 4 + pkt.readUInt16LE(2));
+	let key = conn + direction;
+	if (pb === 0x01) {
+		// Continuing fragment
+		let frag = ctx.fragments[key];
+		if (!frag) {
+			return;
+		}
+		frag['buf'] = Buffer.concat([frag['buf'], payload]);
+		if (frag['buf'].length < frag['total']) {
+			return;
+		}
+		delete ctx.fragments[key];
+		payload = frag['buf'];
+	} else {
+		delete ctx.fragments[key];
+		if (payload.length < 4) {
+			return;
+		}
+		let total = 4 + payload.readUInt16LE(0);
+		if (payload.length < total) {
+			ctx.fragments[key] = { total: total, buf: payload };
+			return;
+		}
+	}
+	// L2CAP basic header: length (2), channel ID (2)
+	if (payload.readUInt16LE(2) !== 0x0004) {
+		return;
+	}
+	this._parseAtt(ctx, time, conn, payload.slice(4, 4 + payload.readUInt16LE(0)));
+};
+
+EnvsensorBtsnoop.prototype._parseAtt = function (ctx, time, conn, att) {
+	if (att.length < 1) {
+		return;
+	}
+	let op = att.readUInt8(0);
+	if (op === 0x09 && att.length >= 2) {
+		// Read By Type Response (characteristic declarations)
+		this._parseCharDeclarations(ctx, conn, att);
+	} else if (op === 0x0a && att.length >= 3) {
+		// Read Request
+		ctx.pending[conn] = att.readUInt16LE(1);
+	} else if (op === 0x0b) {
+		// Read Response
+		let handle = ctx.pending[conn];
+		delete ctx.pending[conn];
+		if (handle !== undefined) {
+			this._addValueEvent(ctx, time, conn, 'read', handle, att.slice(1));
+		}
+	} else if ((op === 0x12 || op === 0x52) && att.length >= 3) {
+		// Write Request, Write Command
+		this._addValueEvent(ctx, time, conn, 'write', att.readUInt16LE(1), att.slice(3));
+	} else if (op === 0x1b && att.length >= 3) {
+		// Handle Value Notification
+		this._addValueEvent(ctx, time, conn, 'notify', att.readUInt16LE(1), att.slice(3));
+	} else if (op === 0x1d && att.length >= 3) {
+		// Handle Value Indication
+		this._addValueEvent(ctx, time, conn, 'indicate', att.readUInt16LE(1), att.slice(3));
+	} else if (op === 0x01 && att.length >= 5) {
+		// Error Response
+		let req = att.readUInt8(1);
+		if (req === 0x0a) {
+			delete ctx.pending[conn];
+		}
+		let uuid = this._getCharUuid(ctx, conn, att.readUInt16LE(2));
+		if (!uuid || (req !== 0x0a && req !== 0x12)) {
+			return;
+		}
+		ctx.events.push({
+			time: time,
+			type: 'error',
+			connection: conn,
+			address: ctx.addresses[conn] || null,
+			charUuid: uuid,
+			charName: this._CHAR_NAMES[uuid] || '',
+			request: (req === 0x0a) ? 'read' : 'write',
+			errorCode: att.readUInt8(4)
+		});
+	}
+};
+
+EnvsensorBtsnoop.prototype._parseCharDeclarations = function (ctx, conn, att) {
+	let len = att.readUInt8(1);
+	// Only the declarations with a 128-bit UUID are interesting
+	if (len !== 21) {
+		return;
+	}
+	if (!ctx.handles[conn]) {
+		ctx.handles[conn] = {};
+	}
+	for (let i = 2; i + len <= att.length; i += len) {
+		let value_handle = att.readUInt16LE(i + 3);
+		let uuid = Buffer.from(att.slice(i + 5, i + 21)).reverse().toString('hex');
+		let m = uuid.match(this._BASE_UUID_RE);
+		if (m) {
+			ctx.handles[conn][value_handle] = m[1];
+		}
+	}
+};
+
+EnvsensorBtsnoop.prototype._getCharUuid = function (ctx, conn, handle) {
+	let handles = ctx.handles[conn];
+	if (handles && handles[handle]) {
+		return handles[handle];
+	}
+	return ctx.handle_map[handle] || null;
+};
+
+EnvsensorBtsnoop.prototype._addValueEvent = function (ctx, time, conn, type, handle, value) {
+	let uuid = this._getCharUuid(ctx, conn, handle);
+	if (uuid) {
+		ctx.events.push({
+			time: time,
+			type: type,
+			connection: conn,
+			address: ctx.addresses[conn] || null,
+			charUuid: uuid,
+			charName: this._CHAR_NAMES[uuid] || '',
+			value: value,
+			data: EnvsensorChars.parseResponse(uuid, value)
+		});
+		return;
+	}
+	// A write to the Client Characteristic Configuration descriptor,
+	// which is usually placed next to the characteristic value
+	uuid = this._getCharUuid(ctx, conn, handle - 1);
+	if (uuid && type === 'write' && value.length === 2) {
+		ctx.events.push({
+			time: time,
+			type: 'subscribe',
+			connection: conn,
+			address: ctx.addresses[conn] || null,
+			charUuid: uuid,
+			charName: this._CHAR_NAMES[uuid] || '',
+			enabled: value.readUInt16LE(0) !== 0
+		});
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: formatTimeline(events)
+* - events: The list of the events returned by the `parse()` method
+*
+* - Returns a human-readable text, one line for each event.
+* ---------------------------------------------------------------- */
+EnvsensorBtsnoop.prototype.formatTimeline = function (events) {
+	let lines = events.map((ev) => {
+		let cols = [ev['time'].toISOString(), ev['type'].toUpperCase().padEnd(13), ev['address'] || '??:??:??:??:??:??'];
+		let type = ev['type'];
+		if (type === 'advertisement') {
+			cols.push(ev['rssi'] + 'dBm', ev['localName'], JSON.stringify(ev['data']));
+		} else if (type === 'connect') {
+			cols.push('handle=0x' + this._hex(ev['connection'], 4));
+		} else if (type === 'disconnect') {
+			cols.push('handle=0x' + this._hex(ev['connection'], 4), 'reason=0x' + this._hex(ev['reason'], 2));
+		} else {
+			cols.push(ev['charUuid'] + ' (' + ev['charName'] + ')');
+			if (type === 'subscribe') {
+				cols.push(ev['enabled'] ? 'enabled' : 'disabled');
+			} else if (type === 'error') {
+				cols.push(ev['request'] + ' failed: errorCode=0x' + this._hex(ev['errorCode'], 2));
+			} else if (ev['data']) {
+				cols.push(JSON.stringify(ev['data']));
+			} else {
+				cols.push('<' + ev['value'].toString('hex') + '>');
+			}
+		}
+		return cols.join('  ');
+	});
+	return lines.join('\n');
+};
+
+EnvsensorBtsnoop.prototype._hex = function (n, digits) {
+	return ('0000' + n.toString(16)).slice(-digits);
+};
+
+module.exports = new EnvsensorBtsnoop();
@@ -0,0 +1,98 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-capture.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const EnvsensorErrors = require('./envsensor-errors.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorCapture()
+* - Converts the raw advertisements to and from the lines of a capture
+*   file. A capture file is an NDJSON file, each line of which is a
+*   JSON object as follows:
+*   {
+*     "timestamp": "2026-10-19T01:23:45.678Z",
+*     "id": "c3d8a7dc0c8e",
+*     "address": "c3:d8:a7:dc:0c:8e",
+*     "rssi": -62,
+*     "localName": "IM",
+*     "manufacturerData": "d50201b90a..." // Hex string, or null
+*   }
+* ---------------------------------------------------------------- */
+const EnvsensorCapture = function () { };
+
+/* ------------------------------------------------------------------
+* Method: createRecord(peripheral[, date])
+* - peripheral: `Peripheral` object of the noble
+* - date: `Date` object of the reception time. The default is now.
+*
+* - Returns a line (without the line break) of a capture file.
+* ---------------------------------------------------------------- */
+EnvsensorCapture.prototype.createRecord = function (peripheral, date) {
+	let ad = peripheral.advertisement || {};
+	let manu = Buffer.isBuffer(ad.manufacturerData) ? ad.manufacturerData.toString('hex') : null;
+	return JSON.stringify({
+		timestamp: (date || new Date()).toISOString(),
+		id: peripheral.id,
+		address: peripheral.address,
+		rssi: peripheral.rssi,
+		localName: ad.localName || null,
+		manufacturerData: manu
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: parseRecord(line)
+* - line: A line of a capture file
+*
+* - Returns a hash object containing the `record` property, or the
+*   `error` property if the line is invalid. The `time` property (UNIX
+*   time in milliseconds) is added to the `record`.
+* ---------------------------------------------------------------- */
+EnvsensorCapture.prototype.parseRecord = function (line) {
+	let record = null;
+	try {
+		record = JSON.parse(line);
+	} catch (e) {
+		return { error: new EnvsensorErrors.EnvsensorError('The line is not a JSON text.', 'ERR_CAPTURE_FORMAT', e) };
+	}
+	if (!record || typeof (record) !== 'object') {
+		return { error: new EnvsensorErrors.EnvsensorError('The line is not a JSON object.', 'ERR_CAPTURE_FORMAT') };
+	}
+	let time = Date.parse(record['timestamp']);
+	if (typeof (record['timestamp']) !== 'string' || isNaN(time)) {
+		return { error: new EnvsensorErrors.EnvsensorError('The `timestamp` is invalid.', 'ERR_CAPTURE_FORMAT') };
+	}
+	if (typeof (record['id']) !== 'string' || !record['id']) {
+		return { error: new EnvsensorErrors.EnvsensorError('The `id` is invalid.', 'ERR_CAPTURE_FORMAT') };
+	}
+	let manu = record['manufacturerData'];
+	if (manu !== null && manu !== undefined && (typeof (manu) !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(manu))) {
+		return { error: new EnvsensorErrors.EnvsensorError('The `manufacturerData` must be a hexadecimal string.', 'ERR_CAPTURE_FORMAT') };
+	}
+	record['time'] = time;
+	return { record: record };
+};
+
+/* ------------------------------------------------------------------
+* Method: createPeripheral(record)
+* - record: The `record` returned by the `parseRecord()` method
+*
+* - Returns an object which looks like a `Peripheral` object of the
+*   noble as far as the `EnvsensorAdvertising.parse()` is concerned.
+* ---------------------------------------------------------------- */
+EnvsensorCapture.prototype.createPeripheral = function (record) {
+	let manu = record['manufacturerData'];
+	return {
+		id: record['id'],
+		uuid: record['id'],
+		address: record['address'] || '',
+		rssi: record['rssi'],
+		advertisement: {
+			localName: record['localName'] || undefined,
+			manufacturerData: (typeof (manu) === 'string') ? Buffer.from(manu, 'hex') : undefined
+		}
+	};
+};
+
+module.exports = new EnvsensorCapture();
@@ -3,6 +3,7 @@
 * Date: 2018-05-31
 * ---------------------------------------------------------------- */
 'use strict';
+const ValidationError = require('./envsensor-errors.js').ValidationError;
 
 /* ------------------------------------------------------------------
 * Constructor: EnvsensorChars()
@@ -580,19 +581,19 @@ EnvsensorChars.prototype._createSensorRequestPage = function(data) {
 	if('page' in data) {
 		let v = data['page'];
 		if(typeof(v) !== 'number' || v % 1 > 0 || v < 0 || v > 2047) {
-			return {error: new Error('The `page` must be an integer in the range of 0 to 2047.')};
+			return {error: new ValidationError('The `page` must be an integer in the range of 0 to 2047.', 'page')};
 		}
 	} else {
-		return {error: new Error('The `page` is required.')};
+		return {error: new ValidationError('The `page` is required.', 'page')};
 	}
 
 	if('row' in data) {
 		let v = data['row'];
 		if(typeof(v) !== 'number' || v % 1 > 0 || v < 0 || v > 12) {
-			return {error: new Error('The `row` must be an integer in the range of 0 to 12.')};
+			return {error: new ValidationError('The `row` must be an integer in the range of 0 to 12.', 'row')};
 		}
 	} else {
-		return {error: new Error('The `row` is required.')};
+		return {error: new ValidationError('The `row` is required.', 'row')};
 	}
 
 	let buf = Buffer.alloc(3);
@@ -613,10 +614,10 @@ EnvsensorChars.prototype._createSettingMeasurementInterval = function(data) {
 	if('measurementInterval' in data) {
 		let interval = data['measurementInterval'];
 		if(typeof(interval) !== 'number' || interval % 1 > 0 || interval < 1 || interval > 3600) {
-			return {error: new Error('The `measurementInterval` must be an integer in the range of 1 to 3600.')};
+			return {error: new ValidationError('The `measurementInterval` must be an integer in the range of 1 to 3600.', 'measurementInterval')};
 		}
 	} else {
-		return {error: new Error('The `measurementInterval` is required.')};
+		return {error: new ValidationError('The `measurementInterval` is required.', 'measurementInterval')};
 	}
 
 	let buf = Buffer.alloc(2);
@@ -679,67 +680,69 @@ EnvsensorChars.prototype._createEventSetting = function(char_uuid, data) {
 	for(let i=0; i<klist.length; i++) {
 		let k = klist[i];
 		if(!(k in data)) {
-			err = 'The `' + k + '` is required.';
+			err = new ValidationError('The `' + k + '` is required.', k);
 			break;
 		}
 
 		let o = data[k];
 		if(typeof(o) !== 'object') {
-			err = 'The `' + k + '` must be an object.';
+			err = new ValidationError('The `' + k + '` must be an object.', k);
 			break;
 		}
 
 		if('enabled' in o) {
 			let v = o['enabled'];
 			if(typeof(v) !== 'boolean') {
-				err = 'The `' + k + '.enabled` must be a boolean.';
+				err = new ValidationError('The `' + k + '.enabled` must be a boolean.', k + '.enabled');
 				break;
 			}
 		} else {
-			err = 'The `' + k + '.enabled` is required.';
+			err = new ValidationError('The `' + k + '.enabled` is required.', k + '.enabled');
 			break;
 		}
 
 		if('threshold' in o) {
 			let v = o['threshold'];
 			if(typeof(v) !== 'number') {
-				err = 'The `' + k + '.threshold` must be a number.';
+				err = new ValidationError('The `' + k + '.threshold` must be a number.', k + '.threshold');
 				break;
 			}
-			if((v * mul) % 1 !== 0) {
-				err = 'The `' + k + '` * ' + mul + ' must be an integer.';
+			// The values read from the device are divided by `mul`, so the
+			// floating point errors (e.g., 0.29 * 100) must be allowed
+			if(Math.abs(v * mul - Math.round(v * mul)) > 1e-6) {
+				err = new ValidationError('The `' + k + '` * ' + mul + ' must be an integer.', k);
 				break;
 			}
 			let range = this._THRESHOLD_RANGES[char_uuid][k];
 			if(v < range['min'] || v > range['max']) {
-				err = 'The `' + k + '` * ' + mul + ' must be in the range of ' + range['min'] + ' to ' + range['max'] + '.';
+				err = new ValidationError('The `' + k + '` * ' + mul + ' must be in the range of ' + range['min'] + ' to ' + range['max'] + '.', k);
 				break;
 			}
 		} else {
-			err = 'The `' + k + '.threshold` is required.';
+			err = new ValidationError('The `' + k + '.threshold` is required.', k + '.threshold');
 			break;
 		}
 	}
 	if(err) {
-		return {error: new Error(err)};
+		return {error: err};
 	}
 
 	['measurements', 'movingAverage'].forEach((k) => {
 		if(k in data) {
 			let v = data[k];
 			if(typeof(v) !== 'number') {
-				err = 'The `' + k + '` must be a number.';
+				err = new ValidationError('The `' + k + '` must be a number.', k);
 			} else if(v % 1 > 0) {
-				err = 'The `' + k + '` must be an integer.';
+				err = new ValidationError('The `' + k + '` must be an integer.', k);
 			} else if(v < 1 || v > 8) {
-				err = 'The `' + k + '` must be in the range of 1 to 8.'
+				err = new ValidationError('The `' + k + '` must be in the range of 1 to 8.', k);
 			}
 		} else {
-			err = 'The `' + k + '` is required.';
+			err = new ValidationError('The `' + k + '` is required.', k);
 		}
 	});
 	if(err) {
-		return {error: new Error(err)};
+		return {error: err};
 	}
 
 	// Create a Buffer object
@@ -764,12 +767,12 @@ EnvsensorChars.prototype._createEventSetting = function(char_uuid, data) {
 		n = n | 0b00000001;
 	}
 	buf.writeUInt8(n, 0);
-	buf.writeInt16LE(data['risePrevious']['threshold'] * mul, 1);
-	buf.writeInt16LE(data['declinePrevious']['threshold'] * mul, 3);
-	buf.writeInt16LE(data['riseTerm']['threshold'] * mul, 5);
-	buf.writeInt16LE(data['declineTerm']['threshold'] * mul, 7);
-	buf.writeInt16LE(data['upperLimit']['threshold'] * mul, 9);
-	buf.writeInt16LE(data['lowerLimit']['threshold'] * mul, 11);
+	buf.writeInt16LE(Math.round(data['risePrevious']['threshold'] * mul), 1);
+	buf.writeInt16LE(Math.round(data['declinePrevious']['threshold'] * mul), 3);
+	buf.writeInt16LE(Math.round(data['riseTerm']['threshold'] * mul), 5);
+	buf.writeInt16LE(Math.round(data['declineTerm']['threshold'] * mul), 7);
+	buf.writeInt16LE(Math.round(data['upperLimit']['threshold'] * mul), 9);
+	buf.writeInt16LE(Math.round(data['lowerLimit']['threshold'] * mul), 11);
 	buf.writeUInt8(data['measurements'], 13);
 	buf.writeUInt8(data['movingAverage'], 14);
 	return {buffer: buf};
@@ -789,10 +792,10 @@ EnvsensorChars.prototype._createControlTimeInformation = function(data) {
 	if('unixTime' in data) {
 		let v = data['unixTime'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 1 || v > 0xffffffff) {
-			return {error: new Error('The `unixTime` must be an integer in the range of 1 to ' + 0xffffffff + '.')};
+			return {error: new ValidationError('The `unixTime` must be an integer in the range of 1 to ' + 0xffffffff + '.', 'unixTime')};
 		}
 	} else {
-		return {error: new Error('The `unixTime` is required.')};
+		return {error: new ValidationError('The `unixTime` is required.', 'unixTime')};
 	}
 
 	let buf = Buffer.alloc(4);
@@ -812,12 +815,12 @@ EnvsensorChars.prototype._createControlLedOnDuration = function(data) {
 	if('duration' in data) {
 		let v = data['duration'];
 		if(typeof(v) !== 'number') {
-			return {error: new Error('The `duration` must be `number`.')};
+			return {error: new ValidationError('The `duration` must be `number`.', 'duration')};
 		} else if(v % 1 > 0 || v < 1 || v > 10) {
-			return {error: new Error('The `duration` must be an integer in the range of 1 to 10.')};
+			return {error: new ValidationError('The `duration` must be an integer in the range of 1 to 10.', 'duration')};
 		}
 	} else {
-		return {error: new Error('The `duration` is required.')};
+		return {error: new ValidationError('The `duration` is required.', 'duration')};
 	}
 
 	let buf = Buffer.from([data['duration']]);
@@ -914,23 +917,23 @@ EnvsensorChars.prototype._createControlTrigger = function(data) {
 	if('disconnect' in data) {
 		let v = data['disconnect'];
 		if(typeof(v) !== 'boolean') {
-			err = 'The `duration` must be Boolean.';
+			err = new ValidationError('The `disconnect` must be Boolean.', 'disconnect');
 		}
 	} else {
-		err = 'The `disconnect` is required.';
+		err = new ValidationError('The `disconnect` is required.', 'disconnect');
 	}
 
 	if('dfu' in data) {
 		let v = data['dfu'];
 		if(typeof(v) !== 'boolean') {
-			err = 'The `dfu` must be Boolean.';
+			err = new ValidationError('The `dfu` must be Boolean.', 'dfu');
 		}
 	} else {
-		err = 'The `dfu` is required.';
+		err = new ValidationError('The `dfu` is required.', 'dfu');
 	}
 
 	if(err) {
-		return {error: new Error(err)};
+		return {error: err};
 	} else {
 		let buf = Buffer.alloc(2);
 		buf.writeUInt8(data['disconnect'] ? 0x01 : 0x00, 0);
@@ -956,24 +959,24 @@ EnvsensorChars.prototype._createParameterUuids = function(data) {
 	if('uuid' in data) {
 		let v = data['uuid'];
 		if(typeof(v) !== 'string') {
-			return {error: new Error('The `uuid` must be `String`.')};
+			return {error: new ValidationError('The `uuid` must be `String`.', 'uuid')};
 		} else {
 			v = v.replace(/\-/g, '').toLowerCase();
 			if(v.match(/[^a-f0-9]/) || v.length !== 32) {
-				return {error: new Error('The `uuid` is invalid.')};
+				return {error: new ValidationError('The `uuid` is invalid.', 'uuid')};
 			} else {
 				uuid = v;
 			}
 		}
 	} else {
-		return {error: new Error('The `uuid` is required.')};
+		return {error: new ValidationError('The `uuid` is required.', 'uuid')};
 	}
 
 	let major = 0;
 	if('major' in data) {
 		let v = data['major'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 0 || v > 0xffff) {
-			return {error: new Error('The `major` must be an integer between 0x0000 and 0xFFFF.')};
+			return {error: new ValidationError('The `major` must be an integer between 0x0000 and 0xFFFF.', 'major')};
 		} else {
 			major = v;
 		}
@@ -983,7 +986,7 @@ EnvsensorChars.prototype._createParameterUuids = function(data) {
 	if('minor' in data) {
 		let v = data['minor'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 0 || v > 0xffff) {
-			return {error: new Error('The `minor` must be an integer between 0x0000 and 0xFFFF.')};
+			return {error: new ValidationError('The `minor` must be an integer between 0x0000 and 0xFFFF.', 'minor')};
 		} else {
 			minor = v;
 		}
@@ -1018,59 +1021,59 @@ EnvsensorChars.prototype._createParameterAdvSetting = function(data) {
 	if('indInterval' in data) {
 		let v = data['indInterval'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 500 || v > 10240) {
-			return {error: new Error('The `indInterval` must be in the range of 500 to 10240.')};
+			return {error: new ValidationError('The `indInterval` must be in the range of 500 to 10240.', 'indInterval')};
 		}
 	} else {
-		return {error: new Error('The `indInterval` is required.')};
+		return {error: new ValidationError('The `indInterval` is required.', 'indInterval')};
 	}
 
 	if('nonconIndInterval' in data) {
 		let v = data['nonconIndInterval'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 100 || v > 10240) {
-			return {error: new Error('The `nonconIndInterval` must be an integer in the range of 100 to 10240.')};
+			return {error: new ValidationError('The `nonconIndInterval` must be an integer in the range of 100 to 10240.', 'nonconIndInterval')};
 		}
 	} else {
-		return {error: new Error('The `nonconIndInterval` is required.')};
+		return {error: new ValidationError('The `nonconIndInterval` is required.', 'nonconIndInterval')};
 	}
 
 	if('transmissionPeriod' in data) {
 		let v = data['transmissionPeriod'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 1 || v > 16383) {
-			return {error: new Error('The `transmissionPeriod` must be an integer in the range of 1 to 16383.')};
+			return {error: new ValidationError('The `transmissionPeriod` must be an integer in the range of 1 to 16383.', 'transmissionPeriod')};
 		}
 	} else {
-		return {error: new Error('The `transmissionPeriod` is required.')};
+		return {error: new ValidationError('The `transmissionPeriod` is required.', 'transmissionPeriod')};
 	}
 
 	if('silentPeriod' in data) {
 		let v = data['silentPeriod'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || v < 1 || v > 16383) {
-			return {error: new Error('The `silentPeriod` must be an integer in the range of 1 to 16383.')};
+			return {error: new ValidationError('The `silentPeriod` must be an integer in the range of 1 to 16383.', 'silentPeriod')};
 		}
 	} else {
-		return {error: new Error('The `silentPeriod` is required.')};
+		return {error: new ValidationError('The `silentPeriod` is required.', 'silentPeriod')};
 	}
 
 	if('beaconMode' in data) {
 		let v = data['beaconMode'];
 		if(typeof(v) !== 'number' || !v.toString().match(/^(0|1|2|3|4|5|7|8)$/)) {
-			err = 'The `beaconMode` must be 0, 1, 2, 3, 4, 5, 7, or 8.';
+			err = new ValidationError('The `beaconMode` must be 0, 1, 2, 3, 4, 5, 7, or 8.', 'beaconMode');
 		}
 	} else {
-		err = 'The `beaconMode` is required.';
+		err = new ValidationError('The `beaconMode` is required.', 'beaconMode');
 	}
 
 	if('txPowerLevel' in data) {
 		let v = data['txPowerLevel'];
 		if(typeof(v) !== 'number' || v % 1 !== 0 || [-20, -16, -12, -8, -4, 0, 4].indexOf(v) === -1) {
-			err = 'The `txPowerLevel` must be -20, -16, -12, -8, -4, 0, or 4.';
+			err = new ValidationError('The `txPowerLevel` must be -20, -16, -12, -8, -4, 0, or 4.', 'txPowerLevel');
 		}
 	} else {
-		err = 'The `txPowerLevel` is required.';
+		err = new ValidationError('The `txPowerLevel` is required.', 'txPowerLevel');
 	}
 
 	if(err) {
-		return {error: new Error(err)};
+		return {error: err};
 	} else {
 		let buf = Buffer.alloc(10);
 		buf.writeUInt16LE(parseInt(data['indInterval'] / 0.625, 10), 0);
@@ -0,0 +1,138 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-checkpoint-store.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const fs = require('fs');
+const EnvsensorErrors = require('./envsensor-errors.js');
+
+// Used to give a unique name to each temporary file
+let tmp_count = 0;
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorCheckpointStore([params])
+* - params:
+*     path : Path of a JSON file in which the checkpoints are persisted.
+*            If not specified, the checkpoints are kept only in memory.
+*
+* - Any object implementing the `get(key)` and `set(key, checkpoint)`
+*   methods can be used as a checkpoint store instead of this object.
+*   The methods may return a `Promise` object.
+* ---------------------------------------------------------------- */
+const EnvsensorCheckpointStore = function (params) {
+	this._path = null;
+	if (params && typeof (params) === 'object' && 'path' in params) {
+		if (typeof (params['path']) !== 'string' || !params['path']) {
+			throw new EnvsensorErrors.ValidationError('The `path` must be a non-empty string.', 'path');
+		}
+		this._path = params['path'];
+	}
+	this._checkpoints = null;
+	// The loads and the saves are run one by one through this chain, so that
+	// concurrent `set()` calls do not overwrite the checkpoints of each other
+	this._chain = Promise.resolve();
+};
+
+// Runs the `task` after the tasks run before have finished
+EnvsensorCheckpointStore.prototype._run = function (task) {
+	let promise = this._chain.then(task);
+	this._chain = promise.catch(() => { });
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: get(key)
+* - Returns the checkpoint saved with the `key`. If not found, `null`
+*   is passed to the `resolve()` function.
+* ---------------------------------------------------------------- */
+EnvsensorCheckpointStore.prototype.get = function (key) {
+	return this._run(() => {
+		return this._load().then((checkpoints) => {
+			return checkpoints[key] || null;
+		});
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: set(key, checkpoint)
+* ---------------------------------------------------------------- */
+EnvsensorCheckpointStore.prototype.set = function (key, checkpoint) {
+	return this._run(() => {
+		let updated = {};
+		return this._load().then((checkpoints) => {
+			// The checkpoints in memory are replaced only after they are saved
+			Object.keys(checkpoints).forEach((k) => {
+				updated[k] = checkpoints[k];
+			});
+			updated[key] = checkpoint;
+			return this._save(updated);
+		}).then(() => {
+			this._checkpoints = updated;
+		});
+	});
+};
+
+EnvsensorCheckpointStore.prototype._load = function () {
+	let promise = new Promise((resolve, reject) => {
+		if (this._checkpoints) {
+			resolve(this._checkpoints);
+			return;
+		}
+		if (!this._path) {
+			this._checkpoints = {};
+			resolve(this._checkpoints);
+			return;
+		}
+		fs.readFile(this._path, 'utf8', (error, text) => {
+			if (error) {
+				if (error.code === 'ENOENT') {
+					this._checkpoints = {};
+					resolve(this._checkpoints);
+				} else {
+					reject(new EnvsensorErrors.EnvsensorError('Failed to read the checkpoint file: ' + error.message, 'ERR_CHECKPOINT_FILE', error));
+				}
+				return;
+			}
+			try {
+				this._checkpoints = JSON.parse(text);
+			} catch (e) {
+				reject(new EnvsensorErrors.EnvsensorError('Failed to parse the checkpoint file: ' + e.message, 'ERR_CHECKPOINT_FORMAT', e));
+				return;
+			}
+			resolve(this._checkpoints);
+		});
+	});
+	return promise;
+};
+
+EnvsensorCheckpointStore.prototype._save = function (checkpoints) {
+	let promise = new Promise((resolve, reject) => {
+		if (!this._path) {
+			resolve();
+			return;
+		}
+		// Write a temporary file first so that the file is never left half-written
+		let tmp_path = this._path + '.' + process.pid + '.' + (++tmp_count) + '.tmp';
+		let fail = (error) => {
+			fs.unlink(tmp_path, () => {
+				reject(new EnvsensorErrors.EnvsensorError('Failed to write the checkpoint file: ' + error.message, 'ERR_CHECKPOINT_FILE', error));
+			});
+		};
+		fs.writeFile(tmp_path, JSON.stringify(checkpoints, null, '  '), 'utf8', (error) => {
+			if (error) {
+				fail(error);
+				return;
+			}
+			fs.rename(tmp_path, this._path, (error) => {
+				if (error) {
+					fail(error);
+				} else {
+					resolve();
+				}
+			});
+		});
+	});
+	return promise;
+};
+
+module.exports = EnvsensorCheckpointStore;
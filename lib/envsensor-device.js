@@ -3,15 +3,44 @@
 * Date: 2018-06-02
 * ---------------------------------------------------------------- */
 'use strict';
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
 const EnvsensorChars = require('./envsensor-chars.js');
+const EnvsensorQueue = require('./envsensor-queue.js');
+const EnvsensorAbort = require('./envsensor-abort.js');
+const EnvsensorErrors = require('./envsensor-errors.js');
+const EnvsensorError = EnvsensorErrors.EnvsensorError;
+const TimeoutError = EnvsensorErrors.TimeoutError;
+const NotConnectedError = EnvsensorErrors.NotConnectedError;
+const ConnectionError = EnvsensorErrors.ConnectionError;
+const GattError = EnvsensorErrors.GattError;
+const ValidationError = EnvsensorErrors.ValidationError;
+const ProtocolError = EnvsensorErrors.ProtocolError;
+const NotRecordingError = EnvsensorErrors.NotRecordingError;
+const VerificationError = EnvsensorErrors.VerificationError;
+const TransactionError = EnvsensorErrors.TransactionError;
 
 /* ------------------------------------------------------------------
-* Constructor: EnvsensorDevice(peripheral)
+* Constructor: EnvsensorDevice(noble, peripheral[, options])
 * - peripheral:
 *     A Peripheral object of the noble module
+* - options:
+*     Timing options of the GATT requests. See `_DEFAULT_OPTIONS`.
+*
+* - Events:
+*     disconnect : Emitted when the connection is closed. ({wasClean})
+*     sensordata : Emitted whenever a measured data notification is received.
+*     eventflag  : Emitted whenever an event flag notification is received.
+*     error      : Emitted when a notification can not be parsed or
+*                  an event listener throws an exception.
+*     reconnecting    : Emitted before a reconnection attempt. ({attempt, delay})
+*     reconnect       : Emitted when the connection is reestablished. ({attempt})
+*     reconnectFailed : Emitted when all the reconnection attempts failed. ({attempts})
 * ---------------------------------------------------------------- */
-const EnvsensorDevice = function (noble, peripheral) {
+const EnvsensorDevice = function (noble, peripheral, options) {
+	EventEmitter.call(this);
 	this.id = peripheral.id;
+	this.address = peripheral.address || '';
 	this.ondisconnected = null;
 	this.onsensordata = null;
 	this.oneventflag = null;
@@ -23,8 +52,27 @@ const EnvsensorDevice = function (noble, peripheral) {
 	this._chars = {};
 	this._was_clean = false;
 	this._onresponse = null;
-	this._RESPONSE_TIMEOUT_MSEC = 5000; // msec
-	this._REQUEST_RETRY_MAX = 3;
+	this._auto_reconnect = null;
+	this._reconnect_timer = null;
+	this._reconnect_attempt = null;
+	this._monitoring = { '3001': false, '3006': false };
+	this._data_handlers = {};
+	// Every GATT operation is run one by one through this queue
+	this._queue = new EnvsensorQueue();
+	// The request page (3003) is shared by the page readers, so the
+	// sequence of request and response is run one by one through this queue
+	this._page_queue = new EnvsensorQueue();
+	// A setting is read, merged with the new values, then written. The
+	// sequences are run one by one through this queue, so that concurrent
+	// setters do not overwrite the values merged by each other.
+	this._config_queue = new EnvsensorQueue();
+	// The functions which finish the GATT requests in progress with an error
+	this._request_aborters = [];
+	let res = EnvsensorDevice._parseOptions(options, null);
+	if (res['error']) {
+		throw res['error'];
+	}
+	this._options = res['options'];
 	this._BASE_UUID_RE = /^0c4c([a-f\d]{4})770046f4aa96d5e974e32a54$/;
 
 	this._SERVICE_NAMES = {
@@ -66,6 +114,107 @@ const EnvsensorDevice = function (noble, peripheral) {
 		'3053': 'DFU Revision'
 	};
 };
+util.inherits(EnvsensorDevice, EventEmitter);
+
+// Timing options of the GATT requests, and the `verifyWrites` option. They
+// can be specified to the constructor, the `connect()` method and the
+// methods reading the flash memory (per call).
+EnvsensorDevice._DEFAULT_OPTIONS = {
+	responseTimeout: 5000, // msec to wait for a response of a read or a write
+	timeoutRetries: 2,     // Number of retries when a request timed out
+	errorRetries: 0,       // Number of retries when a request failed with a GATT error
+	retryDelay: 0,         // msec to wait before a retry
+	pageRequestWait: 200,  // msec to wait after writing the request page (3003)
+	pageResponseWait: 100, // msec to wait after reading the response flag (3004)
+	rowReadInterval: 10,   // msec to wait between the reads of the response data (3005)
+	verifyWrites: false    // Read back the configuration characteristics after writing
+};
+
+// The characteristics read back by the `verifyWrites` option, and the
+// tolerances of their values keyed by the name of the field. The device
+// keeps the ADV intervals in steps of 0.625 msec, and the thresholds of
+// the event settings in steps of their resolutions.
+EnvsensorDevice._VERIFY_TOLERANCES = {
+	'3011': {},
+	'3013': { threshold: 0.005 },
+	'3014': { threshold: 0.005 },
+	'3015': { threshold: 0.5 },
+	'3016': { threshold: 0.005 },
+	'3017': { threshold: 0.05 },
+	'3018': { threshold: 0.005 },
+	'3019': { threshold: 0.005 },
+	'301a': { threshold: 0.005 },
+	'3041': {},
+	'3042': { indInterval: 0.625, nonconIndInterval: 0.625 }
+};
+
+// The characteristics saved in a configuration profile, and their paths in
+// the profile. The `measurementInterval` is saved as a number.
+EnvsensorDevice._CONFIGURATION_VERSION = 1;
+EnvsensorDevice._CONFIGURATION_ENTRIES = [
+	{ path: 'measurementInterval', charUuid: '3011' },
+	{ path: 'eventSettings.temperature', charUuid: '3013' },
+	{ path: 'eventSettings.humidity', charUuid: '3014' },
+	{ path: 'eventSettings.ambientLight', charUuid: '3015' },
+	{ path: 'eventSettings.uvIndex', charUuid: '3016' },
+	{ path: 'eventSettings.pressure', charUuid: '3017' },
+	{ path: 'eventSettings.soundNoise', charUuid: '3018' },
+	{ path: 'eventSettings.discomfortIndex', charUuid: '3019' },
+	{ path: 'eventSettings.heatStroke', charUuid: '301a' },
+	{ path: 'beacon', charUuid: '3041' },
+	{ path: 'advSetting', charUuid: '3042' }
+];
+
+// The setter methods which can be used in the `transaction()`, and the
+// characteristics written by them
+EnvsensorDevice._TRANSACTION_METHODS = {
+	setMeasurementInterval: '3011',
+	setEventSettingsTemperature: '3013',
+	setEventSettingsHumidity: '3014',
+	setEventSettingsAmbientlight: '3015',
+	setEventSettingsUvIndex: '3016',
+	setEventSettingsPressure: '3017',
+	setEventSettingsSoundNoise: '3018',
+	setEventSettingsDiscomfortIndex: '3019',
+	setEventSettingsHeatStroke: '301a',
+	setUuid: '3041',
+	setAdvSetting: '3042'
+};
+
+// Returns the options in the `params` merged into the `base` (or the default
+// options) as `{options}`, or `{error}` if any of the values is invalid.
+// Unknown properties in the `params` are ignored.
+EnvsensorDevice._parseOptions = function (params, base) {
+	let options = {};
+	let defaults = EnvsensorDevice._DEFAULT_OPTIONS;
+	Object.keys(defaults).forEach((k) => {
+		options[k] = base ? base[k] : defaults[k];
+	});
+	if (!params || typeof (params) !== 'object') {
+		return { options: options };
+	}
+	let keys = Object.keys(defaults);
+	for (let i = 0; i < keys.length; i++) {
+		let k = keys[i];
+		if (!(k in params)) {
+			continue;
+		}
+		let v = params[k];
+		if (k === 'verifyWrites') {
+			if (typeof (v) !== 'boolean') {
+				return { error: new ValidationError('The `verifyWrites` must be a boolean.', k) };
+			}
+			options[k] = v;
+			continue;
+		}
+		let min = (k === 'responseTimeout') ? 1 : 0;
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < min) {
+			return { error: new ValidationError('The `' + k + '` must be an integer greater than or equal to ' + min + '.', k) };
+		}
+		options[k] = v;
+	}
+	return { options: options };
+};
 
 /* ------------------------------------------------------------------
 * Method: isConnected()
@@ -79,44 +228,288 @@ EnvsensorDevice.prototype.isConnected = function () {
 };
 
 /* ------------------------------------------------------------------
-* Method: connect()
+* Method: connect([params])
+* - params          | object  | optional |
+*   - autoReconnect | boolean | optional | If `true`, the connection is reestablished automatically
+*                   | object  |          | when it is closed unexpectedly. An object can be specified
+*                   |         |          | to customize the backoff policy:
+*     - maxAttempts | integer | optional | Maximum number of attempts. 0 means unlimited. The default is 10.
+*     - minDelay    | integer | optional | Delay before the first attempt (msec). The default is 1000.
+*     - maxDelay    | integer | optional | Maximum delay between attempts (msec). The default is 60000.
+*     - factor      | number  | optional | Multiplier of the delay for each attempt. The default is 2.
+*   - signal        | object  | optional | `AbortSignal` to abort the connection attempt.
+*
+* - The timing options (`responseTimeout`, `timeoutRetries`, ...) can be
+*   specified in the `params` as well. They are applied to all the
+*   following requests of this device.
 * ---------------------------------------------------------------- */
-EnvsensorDevice.prototype.connect = function () {
+EnvsensorDevice.prototype.connect = function (params) {
 	let promise = new Promise((resolve, reject) => {
-		if (this.isConnected()) {
+		let auto_reconnect = null;
+		if (params && typeof (params) === 'object' && 'autoReconnect' in params) {
+			let res = this._parseAutoReconnectParams(params['autoReconnect']);
+			if (res['error']) {
+				reject(res['error']);
+				return;
+			}
+			auto_reconnect = res['policy'];
+		}
+		let parsed = EnvsensorDevice._parseOptions(params, this._options);
+		if (parsed['error']) {
+			reject(parsed['error']);
+			return;
+		}
+		let signal = (params && typeof (params) === 'object') ? params['signal'] : null;
+		let signal_error = EnvsensorAbort.check(signal);
+		if (signal_error) {
+			reject(signal_error);
+			return;
+		}
+		this._options = parsed['options'];
+		// If an automatic reconnection attempt is in progress, it is not
+		// raced but waited for, then the connection is taken over.
+		let pending = this._reconnect_attempt || Promise.resolve();
+		pending.then(() => {
+			this._cancelReconnect();
+			if (this.isConnected()) {
+				this._auto_reconnect = auto_reconnect;
+				resolve();
+				return;
+			}
+			let error = EnvsensorAbort.check(signal);
+			if (error) {
+				reject(error);
+				return;
+			}
+			this._connectManually(signal, auto_reconnect).then(resolve, reject);
+		});
+	});
+	return promise;
+};
+
+EnvsensorDevice.prototype._connectManually = function (signal, auto_reconnect) {
+	let promise = new Promise((resolve, reject) => {
+		let aborted = false;
+		let unwatch = EnvsensorAbort.watch(signal, () => {
+			aborted = true;
+			// The noble supports canceling a pending connection. Otherwise, the
+			// connection is closed as soon as it is established.
+			if (this._isFunction(this._peripheral.cancelConnect)) {
+				this._peripheral.cancelConnect();
+			}
+			reject(new EnvsensorErrors.AbortError());
+		});
+		this._connect().then(() => {
+			unwatch();
+			if (aborted) {
+				this._disconnect().catch(() => { });
+				return;
+			}
+			this._auto_reconnect = auto_reconnect;
 			resolve();
-		} else {
-			var p = this._peripheral;
-			p.once('disconnect', () => {
-				if (this._isFunction(this.ondisconnected)) {
-					this.ondisconnected({ 'wasClean': this._was_clean });
-					this._was_clean = false;
-				}
+		}).catch((error) => {
+			unwatch();
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+EnvsensorDevice.prototype._parseAutoReconnectParams = function (v) {
+	if (v === false || v === null || v === undefined) {
+		return { policy: null };
+	}
+	let policy = {
+		maxAttempts: 10,
+		minDelay: 1000,
+		maxDelay: 60000,
+		factor: 2
+	};
+	if (v === true) {
+		return { policy: policy };
+	}
+	if (typeof (v) !== 'object') {
+		return { error: new ValidationError('The `autoReconnect` must be a boolean or an object.', 'autoReconnect') };
+	}
+	let ranges = {
+		maxAttempts: { min: 0, integer: true },
+		minDelay: { min: 0, integer: true },
+		maxDelay: { min: 0, integer: true },
+		factor: { min: 1, integer: false }
+	};
+	for (let k in ranges) {
+		if (!(k in v)) {
+			continue;
+		}
+		let n = v[k];
+		if (typeof (n) !== 'number' || n < ranges[k]['min'] || (ranges[k]['integer'] && n % 1 !== 0)) {
+			let type = ranges[k]['integer'] ? 'an integer' : 'a number';
+			return { error: new ValidationError('The `autoReconnect.' + k + '` must be ' + type + ' greater than or equal to ' + ranges[k]['min'] + '.', 'autoReconnect.' + k) };
+		}
+		policy[k] = n;
+	}
+	if (policy['maxDelay'] < policy['minDelay']) {
+		return { error: new ValidationError('The `autoReconnect.maxDelay` must be greater than or equal to the `autoReconnect.minDelay`.', 'autoReconnect.maxDelay') };
+	}
+	return { policy: policy };
+};
+
+EnvsensorDevice.prototype._connect = function () {
+	let promise = new Promise((resolve, reject) => {
+		var p = this._peripheral;
+		let ondisconnect = () => {
+			let reason = { 'wasClean': this._was_clean };
+			this._was_clean = false;
+			// The request in progress is failed right away as well as the
+			// pending ones, instead of waiting for its timeout
+			let error = new NotConnectedError('The device was disconnected.');
+			this._config_queue.clear(error);
+			this._page_queue.clear(error);
+			this._queue.clear(error);
+			this._request_aborters.slice().forEach((abort) => {
+				abort(error);
 			});
-			p.connect((error) => {
-				if (error) {
-					reject(new Error('Failed to connect to the device: ' + error.message));
-				} else {
-					this._init().then(() => {
-						resolve();
-					}).catch((error) => {
-						this.disconnect().then(() => {
-							reject(new Error('Failed to connect to the device: ' + error.message));
-						}).catch((e) => {
-							reject(new Error('Failed to connect to the device: ' + error.message));
-						});
+			this._dispatch('disconnect', this.ondisconnected, reason);
+			if (!reason['wasClean'] && this._auto_reconnect && !this._reconnect_timer) {
+				this._scheduleReconnect(1);
+			}
+		};
+		p.once('disconnect', ondisconnect);
+		p.connect((error) => {
+			if (error) {
+				p.removeListener('disconnect', ondisconnect);
+				reject(new ConnectionError('Failed to connect to the device: ' + error.message, error));
+			} else {
+				this._init().then(() => {
+					resolve();
+				}).catch((error) => {
+					this._disconnect().then(() => {
+						reject(new ConnectionError('Failed to connect to the device: ' + error.message, error));
+					}).catch((e) => {
+						reject(new ConnectionError('Failed to connect to the device: ' + error.message, error));
 					});
-				}
+				});
+			}
+		});
+	});
+	return promise;
+};
+
+EnvsensorDevice.prototype._scheduleReconnect = function (attempt) {
+	let policy = this._auto_reconnect;
+	if (policy['maxAttempts'] > 0 && attempt > policy['maxAttempts']) {
+		this._auto_reconnect = null;
+		this._dispatch('reconnectFailed', null, { attempts: attempt - 1 });
+		return;
+	}
+	let delay = Math.min(policy['minDelay'] * Math.pow(policy['factor'], attempt - 1), policy['maxDelay']);
+	delay = Math.round(delay);
+	this._dispatch('reconnecting', null, { attempt: attempt, delay: delay });
+
+	// The `_reconnect_timer` is kept until the attempt is finished. If it is
+	// replaced or cleared, the attempt has been canceled by the `disconnect()`.
+	// The `_reconnect_attempt` is the attempt in progress, which the
+	// `connect()` waits for.
+	let timer = setTimeout(() => {
+		let canceled = () => {
+			return (this._reconnect_timer !== timer);
+		};
+		let attempt_promise = this._connect().then(() => {
+			if (canceled()) {
+				return this._disconnect();
+			}
+			return this._restoreMonitoring().then(() => {
+				this._reconnect_timer = null;
+				this._dispatch('reconnect', null, { attempt: attempt });
 			});
-		}
+		}).catch((error) => {
+			if (canceled()) {
+				return;
+			}
+			let next = () => {
+				this._reconnect_timer = null;
+				if (this._auto_reconnect) {
+					this._scheduleReconnect(attempt + 1);
+				}
+			};
+			if (this.isConnected()) {
+				// Failed to restore the notifications, so try again from the connection
+				return this._disconnect().then(next).catch(next);
+			} else {
+				next();
+			}
+		});
+		this._reconnect_attempt = attempt_promise;
+		attempt_promise.then(() => {
+			if (this._reconnect_attempt === attempt_promise) {
+				this._reconnect_attempt = null;
+			}
+		});
+	}, delay);
+	this._reconnect_timer = timer;
+};
+
+EnvsensorDevice.prototype._cancelReconnect = function () {
+	if (this._reconnect_timer) {
+		clearTimeout(this._reconnect_timer);
+		this._reconnect_timer = null;
+	}
+};
+
+// Re-enables the notifications which were active before the connection was dropped
+EnvsensorDevice.prototype._restoreMonitoring = function () {
+	let promise = new Promise((resolve, reject) => {
+		Promise.resolve().then(() => {
+			if (this._monitoring['3001']) {
+				return this.startMonitoringData();
+			}
+		}).then(() => {
+			if (this._monitoring['3006']) {
+				return this.startMonitoringEventFlag();
+			}
+		}).then(() => {
+			resolve();
+		}).catch((error) => {
+			reject(error);
+		});
 	});
 	return promise;
 };
 
+// Replaces the `data` listener of the notification of the `char_uuid`, so
+// that a listener is never added twice by the `startMonitoring*()` methods
+// called again or by a reconnection. The listener is just removed if the
+// `char` is `null`.
+EnvsensorDevice.prototype._setDataHandler = function (char_uuid, char, handler) {
+	let current = this._data_handlers[char_uuid];
+	if (current) {
+		current['char'].removeListener('data', current['handler']);
+		delete this._data_handlers[char_uuid];
+	}
+	if (char) {
+		char.on('data', handler);
+		this._data_handlers[char_uuid] = { char: char, handler: handler };
+	}
+};
+
 EnvsensorDevice.prototype._isFunction = function (o) {
 	return (o && typeof (o) === 'function') ? true : false;
 };
 
+// Calls the event handler set to the `on*` property, then emits the event.
+// An exception thrown by a listener is reported as an `error` event. If no
+// `error` listener is registered, the exception is thrown as before.
+EnvsensorDevice.prototype._dispatch = function (event_name, handler, data) {
+	try {
+		if (this._isFunction(handler)) {
+			handler(data);
+		}
+		this.emit(event_name, data);
+	} catch (error) {
+		this.emit('error', error);
+	}
+};
+
 EnvsensorDevice.prototype._init = function () {
 	var p = this._peripheral;
 	let promise = new Promise((resolve, reject) => {
@@ -157,8 +550,19 @@ EnvsensorDevice.prototype._init = function () {
 
 /* ------------------------------------------------------------------
 * Method: disconnect()
+* - The automatic reconnection is stopped as well.
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.disconnect = function () {
+	this._auto_reconnect = null;
+	this._cancelReconnect();
+	// The notifications are restored by a reconnection until the user
+	// disconnects the device. The `_disconnect()` called internally while
+	// reconnecting must not forget them.
+	this._monitoring = { '3001': false, '3006': false };
+	return this._disconnect();
+};
+
+EnvsensorDevice.prototype._disconnect = function () {
 	let promise = new Promise((resolve, reject) => {
 		var p = this._peripheral;
 		if (this.isConnected()) {
@@ -166,7 +570,7 @@ EnvsensorDevice.prototype.disconnect = function () {
 			p.disconnect((error) => {
 				p.removeAllListeners('disconnect');
 				if (error) {
-					reject(new Error('Failed to disconnect the device: ' + error.message));
+					reject(new ConnectionError('Failed to disconnect the device: ' + error.message, error));
 				} else {
 					resolve();
 				}
@@ -239,27 +643,274 @@ EnvsensorDevice.prototype.getBasicConfigurations = function () {
 *   - beaconMode          | integer | optional | Beacon Mode. The value must be 0, 1, 2, 3, 4, 5, 7, or 8. The default is 8.
 *   - txPowerLevel        | integer | optional | Tx Power. The value must be -20, -16, -12, -8, -4, 0, or 4. The default is 0.
 *   - uuid                | string  | optional | UUID. The default is "0C4C3000-7700-46F4-AA96D5E974E32A54".
+*   - dryRun              | boolean | optional | If `true`, nothing is written. See the `_setValue()`.
 *
 *   - At least one parameter is required.
+*   - The characteristics are written in a transaction. See the
+*     `transaction()`.
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.setBasicConfigurations = function (params) {
 	let promise = new Promise((resolve, reject) => {
-		let p = {};
-		this.getBasicConfigurations().then((res) => {
-			for (let k in res) {
-				p[k] = (k in params) ? params[k] : res[k];
+		if (!params || typeof (params) !== 'object') {
+			reject(new ValidationError('No parameter was specified.'));
+			return;
+		}
+		let dry_run = false;
+		if ('dryRun' in params) {
+			if (typeof (params['dryRun']) !== 'boolean') {
+				reject(new ValidationError('The `dryRun` must be a boolean.', 'dryRun'));
+				return;
 			}
-			return this.setMeasurementInterval({
-				measurementInterval: p['measurementInterval']
+			dry_run = params['dryRun'];
+		}
+		let pick = (keys) => {
+			let p = {};
+			keys.forEach((k) => {
+				if (k in params) {
+					p[k] = params[k];
+				}
 			});
-		}).then(() => {
-			return this.setUuid({
-				uuid: p['uuid']
+			return p;
+		};
+		let writes = [
+			{ name: 'setMeasurementInterval', charUuid: '3011', params: pick(['measurementInterval']) },
+			{ name: 'setUuid', charUuid: '3041', params: pick(['uuid']) },
+			{ name: 'setAdvSetting', charUuid: '3042', params: pick(['beaconMode', 'txPowerLevel']) }
+		].filter((w) => {
+			return Object.keys(w['params']).length > 0;
+		});
+
+		// The three characteristics are written in a transaction, so that
+		// the device is not left half-configured
+		this._config_queue.push(() => {
+			return this._planWrites(writes).then((steps) => {
+				if (!dry_run) {
+					return this._writeTransaction(steps);
+				}
+				let diff = [];
+				steps.forEach((step) => {
+					diff = diff.concat(this._createDiff(step['charUuid'], step['snapshot'], step['data'])['diff']);
+				});
+				return diff;
 			});
+		}).then((res) => {
+			resolve(dry_run ? res : undefined);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: exportConfiguration()
+* - Reads all the writable settings, and passes a configuration profile
+*   to the `resolve()` function:
+*   {
+*     version: 1,
+*     measurementInterval: 300,                     // 3011
+*     eventSettings: { temperature: {...}, ... },   // 3013 - 301a
+*     beacon: { uuid: '...', major: 0, minor: 0 },  // 3041
+*     advSetting: { indInterval: 1285, ... }        // 3042
+*   }
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.exportConfiguration = function () {
+	let promise = new Promise((resolve, reject) => {
+		let profile = { version: EnvsensorDevice._CONFIGURATION_VERSION };
+		let entries = EnvsensorDevice._CONFIGURATION_ENTRIES;
+		let readEntry = (i) => {
+			if (i >= entries.length) {
+				resolve(profile);
+				return;
+			}
+			let entry = entries[i];
+			this._read(entry['charUuid']).then((res) => {
+				let value = (entry['charUuid'] === '3011') ? res['measurementInterval'] : res;
+				this._setProfileValue(profile, entry['path'], value);
+				readEntry(i + 1);
+			}).catch((error) => {
+				reject(error);
+			});
+		};
+		readEntry(0);
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: importConfiguration(profile)
+* - profile: A configuration profile created by the `exportConfiguration()`
+*   method. Any section (or any property in a section) can be omitted,
+*   then the current value of the device is kept.
+*
+* - The profile is validated entirely before writing, then only the
+*   characteristics whose values differ from the current ones are
+*   written. The `resolve()` function is passed an object containing
+*   the `written` and the `unchanged` properties, which are the lists
+*   of the paths in the profile (e.g., "eventSettings.temperature").
+* - The characteristics are written in a transaction. If a write fails,
+*   the sections already written are restored, and the `Promise` is
+*   rejected with a `TransactionError`.
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.importConfiguration = function (profile) {
+	let promise = new Promise((resolve, reject) => {
+		let result = { written: [], unchanged: [] };
+		this._config_queue.push(() => {
+			return this._planConfiguration(profile).then((plans) => {
+				let steps = [];
+				plans.forEach((plan) => {
+					if (plan['changed']) {
+						steps.push({ name: plan['path'], charUuid: plan['charUuid'], data: this._toWriteData(plan['charUuid'], plan['data']), snapshot: plan['current'] });
+					} else {
+						result['unchanged'].push(plan['path']);
+					}
+				});
+				return this._writeTransaction(steps);
+			});
+		}).then((written) => {
+			result['written'] = written;
+			resolve(result);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+// Validates the `profile`, reads the current values of the sections in
+// the `profile`, and passes the list of the results of the
+// `_planProfileEntry()` to the `resolve()` function.
+EnvsensorDevice.prototype._planConfiguration = function (profile) {
+	let err = EnvsensorDevice._checkProfile(profile);
+	if (err) {
+		return Promise.reject(err);
+	}
+	let entries = EnvsensorDevice._CONFIGURATION_ENTRIES.filter((entry) => {
+		return this._getProfileValue(profile, entry['path']) !== undefined;
+	});
+	let plans = [];
+	let planEntry = (i) => {
+		if (i >= entries.length) {
+			return Promise.resolve(plans);
+		}
+		let entry = entries[i];
+		return this._read(entry['charUuid']).then((current) => {
+			let res = this._planProfileEntry(entry, this._getProfileValue(profile, entry['path']), current);
+			if (res['error']) {
+				throw res['error'];
+			}
+			plans.push(res);
+			return planEntry(i + 1);
+		});
+	};
+	return planEntry(0);
+};
+
+/* ------------------------------------------------------------------
+* Method: verifyConfiguration(profile)
+* - profile: A configuration profile (see the `importConfiguration()`).
+*
+* - Reads back the sections in the `profile`, and rejects with a
+*   `VerificationError` if any of them differs from the `profile`.
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.verifyConfiguration = function (profile) {
+	let promise = new Promise((resolve, reject) => {
+		this._config_queue.push(() => {
+			return this._verifyConfiguration(profile);
 		}).then(() => {
-			return this.setAdvSetting({
-				beaconMode: p['beaconMode'],
-				txPowerLevel: p['txPowerLevel']
+			resolve();
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+EnvsensorDevice.prototype._verifyConfiguration = function (profile) {
+	return this._planConfiguration(profile).then((plans) => {
+		let mismatches = [];
+		plans.forEach((plan) => {
+			if (plan['changed']) {
+				this._compareValues(plan['data'], plan['current'], (plan['charUuid'] === '3011') ? '' : plan['path'], mismatches);
+			}
+		});
+		if (mismatches.length > 0) {
+			let fields = mismatches.map((m) => {
+				return m['field'];
+			});
+			throw new VerificationError('The values read back differ from the values written: ' + fields.join(', '), mismatches);
+		}
+	});
+};
+
+// Appends `{field, expected, actual}` to the `mismatches` for each value
+// which differs between the `expected` and the `actual`, and returns the
+// `mismatches`. If the `tolerances` is specified, the numbers are regarded
+// as the same if the difference is within the tolerance of the field
+// (keyed by the last name of the path, e.g., "threshold"), and the
+// `tolerance` is added to the mismatches.
+EnvsensorDevice.prototype._compareValues = function (expected, actual, path, mismatches, tolerances) {
+	Object.keys(expected).forEach((k) => {
+		let field = path ? path + '.' + k : k;
+		let e = expected[k];
+		let a = actual[k];
+		if (e && typeof (e) === 'object' && a && typeof (a) === 'object') {
+			this._compareValues(e, a, field, mismatches, tolerances);
+		} else if (tolerances) {
+			let tolerance = tolerances[k] || 0;
+			let same = (e === a);
+			if (typeof (e) === 'number' && typeof (a) === 'number') {
+				same = Math.abs(e - a) <= tolerance + 1e-9;
+			} else if (typeof (e) === 'string' && typeof (a) === 'string') {
+				// The UUID can be written in any case, with or without the hyphens
+				same = e.replace(/-/g, '').toLowerCase() === a.replace(/-/g, '').toLowerCase();
+			}
+			if (!same) {
+				mismatches.push({ field: field, expected: e, actual: a, tolerance: tolerance });
+			}
+		} else if (e !== a) {
+			mismatches.push({ field: field, expected: e, actual: a });
+		}
+	});
+	return mismatches;
+};
+
+/* ------------------------------------------------------------------
+* Method: transaction(writes)
+* - writes: The list of the writes. Each write is a hash object:
+*   {
+*     method: 'setAdvSetting', // One of the `_TRANSACTION_METHODS`
+*     params: { beaconMode: 7 } // Parameters of the method
+*   }
+*
+* - Reads the current values of the characteristics, validates all the
+*   writes, then writes them in order. If a write fails, the values read
+*   first are written back to the characteristics written so far, and
+*   the `Promise` is rejected with a `TransactionError`.
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.transaction = function (writes) {
+	let promise = new Promise((resolve, reject) => {
+		if (!Array.isArray(writes) || writes.length === 0) {
+			reject(new ValidationError('The `writes` must be a non-empty array.', 'writes'));
+			return;
+		}
+		let list = [];
+		for (let i = 0; i < writes.length; i++) {
+			let w = writes[i];
+			let prefix = 'writes[' + i + ']';
+			if (!w || typeof (w) !== 'object' || !EnvsensorDevice._TRANSACTION_METHODS.hasOwnProperty(w['method'])) {
+				reject(new ValidationError('The `' + prefix + '.method` must be one of ' + Object.keys(EnvsensorDevice._TRANSACTION_METHODS).join(', ') + '.', prefix + '.method'));
+				return;
+			}
+			if (!w['params'] || typeof (w['params']) !== 'object') {
+				reject(new ValidationError('The `' + prefix + '.params` must be a hash object.', prefix + '.params'));
+				return;
+			}
+			list.push({ name: w['method'], charUuid: EnvsensorDevice._TRANSACTION_METHODS[w['method']], params: w['params'] });
+		}
+		this._config_queue.push(() => {
+			return this._planWrites(list).then((steps) => {
+				return this._writeTransaction(steps);
 			});
 		}).then(() => {
 			resolve();
@@ -270,6 +921,235 @@ EnvsensorDevice.prototype.setBasicConfigurations = function (params) {
 	return promise;
 };
 
+// Reads the current values of the characteristics in the `writes` (the list
+// of `{name, charUuid, params}`), merges the `params` into them in order, and
+// validates them. The list of `{name, charUuid, data, snapshot}` is passed to
+// the `resolve()` function, where the `snapshot` is the value read first.
+EnvsensorDevice.prototype._planWrites = function (writes) {
+	let snapshots = {};
+	let values = {};
+	let readSnapshot = (i) => {
+		if (i >= writes.length) {
+			return Promise.resolve();
+		}
+		let char_uuid = writes[i]['charUuid'];
+		if (snapshots[char_uuid]) {
+			return readSnapshot(i + 1);
+		}
+		return this._read(char_uuid).then((res) => {
+			snapshots[char_uuid] = res;
+			values[char_uuid] = this._toWriteData(char_uuid, res);
+			return readSnapshot(i + 1);
+		});
+	};
+	return readSnapshot(0).then(() => {
+		return writes.map((w, i) => {
+			let char_uuid = w['charUuid'];
+			if (this._overrideValue(values[char_uuid], w['params']) === 0) {
+				throw new ValidationError('No parameter was specified.', 'writes[' + i + '].params');
+			}
+			let data = JSON.parse(JSON.stringify(values[char_uuid]));
+			let res = EnvsensorChars.createWriteBuffer(char_uuid, data);
+			if (res['error']) {
+				throw res['error'];
+			}
+			return { name: w['name'], charUuid: char_uuid, data: data, snapshot: snapshots[char_uuid] };
+		});
+	});
+};
+
+// Writes the `steps` (the list of `{name, charUuid, data, snapshot}`) in
+// order, and passes the list of the `name` written to the `resolve()`
+// function. If a write fails, the `snapshot` is written back to every
+// characteristic attempted, including the failed one as the value might
+// have been written before an error such as a timeout, in reverse order.
+EnvsensorDevice.prototype._writeTransaction = function (steps) {
+	let written = [];
+	let attempted = [];
+	let writeStep = (i) => {
+		if (i >= steps.length) {
+			return Promise.resolve(written);
+		}
+		let step = steps[i];
+		let first = attempted.every((s) => {
+			return s['charUuid'] !== step['charUuid'];
+		});
+		if (first) {
+			attempted.unshift(step);
+		}
+		return this._write(step['charUuid'], step['data']).then(() => {
+			written.push(step['name']);
+			return writeStep(i + 1);
+		});
+	};
+	return writeStep(0).catch((error) => {
+		return this._rollback(attempted).then((res) => {
+			let message = (res['failed'].length > 0) ?
+				'The transaction failed, and could not be rolled back completely: ' :
+				'The transaction failed, and was rolled back: ';
+			throw new TransactionError(message + error.message, error, res['rolledBack'], res['failed']);
+		});
+	});
+};
+
+// Writes the `snapshot` of each of the `steps`. The `resolve()` function is
+// passed the `rolledBack` (the list of the `name`) and the `failed` (the list
+// of `{name, error}`). This is never rejected.
+EnvsensorDevice.prototype._rollback = function (steps) {
+	let res = { rolledBack: [], failed: [] };
+	let restoreStep = (i) => {
+		if (i >= steps.length) {
+			return Promise.resolve(res);
+		}
+		let step = steps[i];
+		return this._write(step['charUuid'], this._toWriteData(step['charUuid'], step['snapshot'])).then(() => {
+			res['rolledBack'].push(step['name']);
+		}).catch((error) => {
+			res['failed'].push({ name: step['name'], error: error });
+		}).then(() => {
+			return restoreStep(i + 1);
+		});
+	};
+	return restoreStep(0);
+};
+
+// Returns a `ValidationError` if the `profile` is not a hash object, has
+// another version or an unknown section, or a section is not a hash object.
+// The values in the sections are checked against the current values of the
+// device later, except the `measurementInterval` which is checked here.
+EnvsensorDevice._checkProfile = function (profile) {
+	if (!profile || typeof (profile) !== 'object') {
+		return new ValidationError('The `profile` must be a hash object.', 'profile');
+	}
+	if (profile['version'] !== EnvsensorDevice._CONFIGURATION_VERSION) {
+		return new ValidationError('The `version` of the profile must be ' + EnvsensorDevice._CONFIGURATION_VERSION + '.', 'version');
+	}
+	let known = { version: true };
+	EnvsensorDevice._CONFIGURATION_ENTRIES.forEach((entry) => {
+		known[entry['path']] = true;
+		known[entry['path'].split('.')[0]] = true;
+	});
+	let keys = Object.keys(profile);
+	for (let i = 0; i < keys.length; i++) {
+		let k = keys[i];
+		if (!known[k]) {
+			return new ValidationError('The `' + k + '` is not a section of the configuration profile.', k);
+		}
+		if (k === 'eventSettings') {
+			let v = profile[k];
+			if (!v || typeof (v) !== 'object') {
+				return new ValidationError('The `eventSettings` must be a hash object.', k);
+			}
+			let names = Object.keys(v);
+			for (let j = 0; j < names.length; j++) {
+				if (!known['eventSettings.' + names[j]]) {
+					return new ValidationError('The `eventSettings.' + names[j] + '` is not a section of the configuration profile.', 'eventSettings.' + names[j]);
+				}
+			}
+		}
+	}
+	let entries = EnvsensorDevice._CONFIGURATION_ENTRIES;
+	for (let i = 0; i < entries.length; i++) {
+		let path = entries[i]['path'];
+		let names = path.split('.');
+		// The `eventSettings` has been checked to be a hash object above
+		let v = (names.length === 1) ? profile[path] : (profile[names[0]] || {})[names[1]];
+		if (v === undefined) {
+			continue;
+		}
+		if (entries[i]['charUuid'] === '3011') {
+			let res = EnvsensorChars.createWriteBuffer('3011', { measurementInterval: v });
+			if (res['error']) {
+				return new ValidationError(path + ': ' + res['error'].message, path);
+			}
+		} else if (!v || typeof (v) !== 'object') {
+			return new ValidationError('The `' + path + '` must be a hash object.', path);
+		}
+	}
+	return null;
+};
+
+// Merges the `value` in the profile into the `current` value read from the
+// device, and returns `{path, charUuid, data, current, changed}`, or `{error}` if
+// the merged value is invalid.
+EnvsensorDevice.prototype._planProfileEntry = function (entry, value, current) {
+	let path = entry['path'];
+	let char_uuid = entry['charUuid'];
+	if (char_uuid === '3011') {
+		value = { measurementInterval: value };
+	} else if (!value || typeof (value) !== 'object') {
+		return { error: new ValidationError('The `' + path + '` must be a hash object.', path) };
+	}
+	let data = JSON.parse(JSON.stringify(current));
+	let err = this._mergeProfileValue(data, value, path);
+	if (err) {
+		return { error: err };
+	}
+	let res = EnvsensorChars.createWriteBuffer(char_uuid, data);
+	if (res['error']) {
+		let field = (char_uuid === '3011') ? path : path + '.' + res['error'].field;
+		return { error: new ValidationError(path + ': ' + res['error'].message, field) };
+	}
+	// The values are compared in the encoded form, so that the values
+	// rounded by the device (e.g., the ADV intervals) are not regarded as
+	// changed
+	let cur = EnvsensorChars.createWriteBuffer(char_uuid, current);
+	return {
+		path: path,
+		charUuid: char_uuid,
+		data: data,
+		current: current,
+		changed: !cur['buffer'] || !cur['buffer'].equals(res['buffer'])
+	};
+};
+
+EnvsensorDevice.prototype._mergeProfileValue = function (base, value, path) {
+	let keys = Object.keys(value);
+	for (let i = 0; i < keys.length; i++) {
+		let k = keys[i];
+		if (!(k in base)) {
+			return new ValidationError('The `' + path + '.' + k + '` is unknown.', path + '.' + k);
+		}
+		let v = value[k];
+		if (base[k] && typeof (base[k]) === 'object') {
+			if (!v || typeof (v) !== 'object') {
+				return new ValidationError('The `' + path + '.' + k + '` must be a hash object.', path + '.' + k);
+			}
+			let err = this._mergeProfileValue(base[k], v, path + '.' + k);
+			if (err) {
+				return err;
+			}
+		} else {
+			base[k] = v;
+		}
+	}
+	return null;
+};
+
+EnvsensorDevice.prototype._getProfileValue = function (profile, path) {
+	let v = profile;
+	let names = path.split('.');
+	for (let i = 0; i < names.length; i++) {
+		if (!v || typeof (v) !== 'object') {
+			return undefined;
+		}
+		v = v[names[i]];
+	}
+	return v;
+};
+
+EnvsensorDevice.prototype._setProfileValue = function (profile, path, value) {
+	let names = path.split('.');
+	let o = profile;
+	for (let i = 0; i < names.length - 1; i++) {
+		if (!o[names[i]]) {
+			o[names[i]] = {};
+		}
+		o = o[names[i]];
+	}
+	o[names[names.length - 1]] = value;
+};
+
 /* ------------------------------------------------------------------
 * Method: getRecordingStatus()
 * ---------------------------------------------------------------- */
@@ -354,46 +1234,265 @@ EnvsensorDevice.prototype.stopRecording = function () {
 * Method: getRecordedDataList([params])
 * - params | object  | optional |
 *   - page | integer | optional | Page number in the flash memory. 0 - 2047.
+*   - from | Date    | optional | Start of the time range (inclusive).
+*   - to   | Date    | optional | End of the time range (inclusive).
+*   - signal | object | optional | `AbortSignal` to abort the reads of the flash memory.
+*
+* - The timing options (`responseTimeout`, `pageRequestWait`, ...) can be
+*   specified in the `params` to override them only for this call.
+* - If the `page` is not specified, the latest page is applied.
+* - If the `from` or the `to` is specified, the records in the time range
+*   are fetched from all the pages overlapping the range. The `page` can
+*   not be specified with them.
+* - If the data recording mode has been started, this method rejects.
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.getRecordedDataList = function (params) {
+	let parsed = EnvsensorDevice._parseOptions(params, this._options);
+	if (parsed['error']) {
+		return Promise.reject(parsed['error']);
+	}
+	let opts = parsed['options'];
+	let signal_error = this._setSignal(opts, params);
+	if (signal_error) {
+		return Promise.reject(signal_error);
+	}
+	if (params && typeof (params) === 'object' && ('from' in params || 'to' in params)) {
+		return EnvsensorAbort.race(opts['signal'], this._getRecordedDataListInRange(params, null, opts));
+	}
+	let promise = new Promise((resolve, reject) => {
+		let p = null;
+		if (params && typeof (params) === 'object' && 'page' in params) {
+			let page = params['page'];
+			if (typeof (page) !== 'number' || page % 1 !== 0 || page < 0 || page > 2047) {
+				reject(new ValidationError('The page must be an integer in the range of 0 to 2047.', 'page'));
+				return;
+			}
+			p = { page: page };
+		}
+
+		let target_page = 0;
+		let interval = 0;
+
+		this.getRecordingStatus().then((res) => {
+			if (res['isRecording'] === false) {
+				throw new NotRecordingError('The data recording mode has not been started.');
+			} else {
+				return this._getTargetPageAndRow(p);
+			}
+		}).then((res) => {
+			target_page = res['page'];
+			interval = res['interval'];
+			return this._getRecordedDataListFromPages(res, opts);
+		}).then((data_list) => {
+			resolve({
+				page: target_page,
+				measurementInterval: interval,
+				dataList: data_list
+			});
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return EnvsensorAbort.race(opts['signal'], promise);
+};
+
+// Returns the `signal` in the `params` if it is a valid `AbortSignal`
+EnvsensorDevice.prototype._getSignal = function (params) {
+	let signal = (params && typeof (params) === 'object') ? params['signal'] : null;
+	return (signal && !EnvsensorAbort.check(signal)) ? signal : null;
+};
+
+// Copies the `signal` in the `params` into the `opts`. Returns an error if
+// the `signal` is invalid or has already been aborted.
+EnvsensorDevice.prototype._setSignal = function (opts, params) {
+	let signal = (params && typeof (params) === 'object') ? params['signal'] : null;
+	let error = EnvsensorAbort.check(signal);
+	opts['signal'] = error ? null : (signal || null);
+	return error;
+};
+
+EnvsensorDevice.prototype._getRecordedDataListInRange = function (params, onprogress, opts) {
+	let promise = new Promise((resolve, reject) => {
+		if ('page' in params) {
+			reject(new ValidationError('The `page` can not be specified with the `from` or the `to`.', 'page'));
+			return;
+		}
+		let from = 0;
+		let to = 0xffffffff;
+		let error = null;
+		['from', 'to'].forEach((k) => {
+			if (!(k in params) || error) {
+				return;
+			}
+			let v = params[k];
+			if (!(v instanceof Date) || isNaN(v.getTime())) {
+				error = new ValidationError('The `' + k + '` must be a valid `Date` object.', k);
+			} else if (k === 'from') {
+				from = Math.ceil(v.getTime() / 1000);
+			} else {
+				to = Math.floor(v.getTime() / 1000);
+			}
+		});
+		if (!error && from > to) {
+			error = new ValidationError('The `from` must not be later than the `to`.', 'from');
+		}
+		if (error) {
+			reject(error);
+			return;
+		}
+
+		let latest = null;
+		let start = null;
+		let end = null;
+		this.getRecordingStatus().then((res) => {
+			if (res['isRecording'] === false) {
+				throw new NotRecordingError('The data recording mode has not been started.');
+			}
+			latest = res;
+			start = this._getRowOffsetAtTime(latest, from);
+			end = this._getRowOffsetAtTime(latest, to);
+			// Pages back to the page 0 are always valid, so the oldest page
+			// needs to be checked only if the range goes beyond the page 0.
+			if (start['pageOffset'] >= -latest['page']) {
+				return -latest['page'];
+			}
+			return this._getOldestPage(latest, opts).then((oldest) => {
+				return -((latest['page'] - oldest + 2048) % 2048);
+			});
+		}).then((oldest_offset) => {
+			if (start['pageOffset'] < oldest_offset) {
+				start = { pageOffset: oldest_offset, row: 0 };
+			}
+			if (end['pageOffset'] > 0 || (end['pageOffset'] === 0 && end['row'] > latest['row'])) {
+				end = { pageOffset: 0, row: latest['row'] };
+			}
+			if (end['pageOffset'] < start['pageOffset'] || (end['pageOffset'] === start['pageOffset'] && end['row'] < start['row'])) {
+				return [];
+			}
+			let page_list = [];
+			for (let po = start['pageOffset']; po <= end['pageOffset']; po++) {
+				page_list.push({
+					page: (latest['page'] + po + 2048) % 2048,
+					startRow: (po === start['pageOffset']) ? start['row'] : 0,
+					endRow: (po === end['pageOffset']) ? end['row'] : 12
+				});
+			}
+			return this._downloadPages(page_list, latest['measurementInterval'], onprogress || null, opts);
+		}).then((data_list) => {
+			data_list = data_list.filter((d) => {
+				return (d['unixTime'] >= from && d['unixTime'] <= to);
+			});
+			resolve({
+				page: (data_list.length > 0) ? data_list[0]['page'] : latest['page'],
+				measurementInterval: latest['measurementInterval'],
+				dataList: data_list
+			});
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: syncRecordedData(params)
+* - params       | object   | required |
+*   - store      | object   | required | Checkpoint store implementing `get(key)` and `set(key, checkpoint)`.
+*   - key        | string   | optional | Key of the checkpoint. The default is the address of the device.
+*   - onprogress | function | optional | Called whenever a page is downloaded.
+*   - signal     | object   | optional | `AbortSignal` to abort the download.
 *
-* - If the `page` is not specified, the latest page is applied.
-* - If the data recording mode has been started, this method rejects.
+* - Only the records recorded since the last sync are downloaded. If no
+*   checkpoint is found, all the records in the flash memory are downloaded.
+* - The timing options can be specified in the `params` to override them
+*   only for this call.
+* - The checkpoint is updated after the download is finished successfully.
 * ---------------------------------------------------------------- */
-EnvsensorDevice.prototype.getRecordedDataList = function (params) {
+EnvsensorDevice.prototype.syncRecordedData = function (params) {
 	let promise = new Promise((resolve, reject) => {
-		let p = null;
-		if (params && typeof (params) === 'object' && 'page' in params) {
-			let page = params['page'];
-			if (typeof (page) !== 'number' || page % 1 !== 0 || page < 0 || page > 2047) {
-				reject(new Error('The page must be an integer in the range of 0 to 2047.'));
+		if (!params || typeof (params) !== 'object') {
+			reject(new ValidationError('No parameter was specified.'));
+			return;
+		}
+		let store = params['store'];
+		if (!store || !this._isFunction(store.get) || !this._isFunction(store.set)) {
+			reject(new ValidationError('The `store` must implement the `get()` and `set()` methods.', 'store'));
+			return;
+		}
+		let key = this.address || this.id;
+		if ('key' in params) {
+			if (typeof (params['key']) !== 'string' || !params['key']) {
+				reject(new ValidationError('The `key` must be a non-empty string.', 'key'));
 				return;
 			}
-			p = { page: page };
+			key = params['key'];
+		}
+		let onprogress = this._isFunction(params['onprogress']) ? params['onprogress'] : null;
+		let parsed = EnvsensorDevice._parseOptions(params, this._options);
+		if (parsed['error']) {
+			reject(parsed['error']);
+			return;
+		}
+		let signal_error = this._setSignal(parsed['options'], params);
+		if (signal_error) {
+			reject(signal_error);
+			return;
 		}
 
-		let target_page = 0;
-		let interval = 0;
-
-		this.getRecordingStatus().then((res) => {
-			if (res['isRecording'] === false) {
-				throw new Error('The data recording mode has not been started.');
-			} else {
-				return this._getTargetPageAndRow(p);
+		let checkpoint = null;
+		let result = null;
+		// The store may be implemented synchronously
+		Promise.resolve(store.get(key)).then((res) => {
+			checkpoint = res;
+			return this.getLatestPage();
+		}).then((latest) => {
+			let from = 0;
+			if (checkpoint && typeof (checkpoint['unixTime']) === 'number') {
+				let latest_time = latest['unixTime'] + latest['row'] * latest['measurementInterval'];
+				// If the latest record is older than the checkpoint, the recording
+				// has been restarted with a new time, so download all the records.
+				if (latest_time >= checkpoint['unixTime']) {
+					from = checkpoint['unixTime'] + 1;
+				}
 			}
+			return this._getRecordedDataListInRange({ from: new Date(from * 1000) }, onprogress, parsed['options']);
 		}).then((res) => {
-			target_page = res['page'];
-			interval = res['interval'];
-			return this._getRecordedDataListFromPages(res);
-		}).then((data_list) => {
-			resolve({
-				page: target_page,
-				measurementInterval: interval,
-				dataList: data_list
-			});
+			let data_list = res['dataList'];
+			let last = data_list[data_list.length - 1];
+			result = {
+				key: key,
+				measurementInterval: res['measurementInterval'],
+				dataList: data_list,
+				checkpoint: last ? {
+					page: last['page'],
+					row: last['row'],
+					unixTime: last['unixTime'],
+					measurementInterval: res['measurementInterval']
+				} : checkpoint
+			};
+			// The checkpoint must not be advanced if the caller has given up
+			EnvsensorAbort.throwIfAborted(parsed['options']['signal']);
+			if (last) {
+				return Promise.resolve(store.set(key, result['checkpoint']));
+			}
+		}).then(() => {
+			resolve(result);
 		}).catch((error) => {
 			reject(error);
 		});
 	});
-	return promise;
+	return EnvsensorAbort.race(this._getSignal(params), promise);
+};
+
+// Returns the position of the row recorded at the specified UNIX time,
+// relative to the top row of the latest page
+EnvsensorDevice.prototype._getRowOffsetAtTime = function (latest, unix_time) {
+	let offset = Math.floor((unix_time - latest['unixTime']) / latest['measurementInterval']);
+	let page_offset = Math.floor(offset / 13);
+	return {
+		pageOffset: page_offset,
+		row: offset - page_offset * 13
+	};
 };
 
 EnvsensorDevice.prototype._getTargetPageAndRow = function (p) {
@@ -421,24 +1520,33 @@ EnvsensorDevice.prototype._getTargetPageAndRow = function (p) {
 	return promise;
 };
 
-EnvsensorDevice.prototype._getRecordedDataListFromPages = function (p) {
+EnvsensorDevice.prototype._getRecordedDataListFromPages = function (p, opts) {
+	return this._page_queue.push(() => {
+		EnvsensorAbort.throwIfAborted(opts && opts['signal']);
+		return this._readPage(p, opts || this._options);
+	});
+};
+
+EnvsensorDevice.prototype._readPage = function (p, opts) {
 	let page = p['page'];
 	let row = p['row'];
 	let interval = p['interval'];
 	let time = 0;
+	let low = EnvsensorQueue.PRIORITY_LOW;
 	let promise = new Promise((resolve, reject) => {
-		this.setRequestPage({ page: page, row: row }).then(() => {
-			return this._wait(200);
+		this._write('3003', { page: page, row: row }, false, low, opts).then(() => {
+			return this._wait(opts['pageRequestWait']);
 		}).then(() => {
-			return this.getResponseFlag();
+			EnvsensorAbort.throwIfAborted(opts['signal']);
+			return this._read('3004', low, opts);
 		}).then((res) => {
 			if (res['updateFlag'] !== 0x01) {
-				throw new Error('Failed to set the request page (updateFlag=' + res['updateFlag'] + ').');
+				throw new ProtocolError('Failed to set the request page (updateFlag=' + res['updateFlag'] + ').', '3004');
 			}
 			time = res['unixTime'];
-			return this._wait(100);
+			return this._wait(opts['pageResponseWait']);
 		}).then(() => {
-			return this._getRecordedSensorDataListFromCurrentPage();
+			return this._getRecordedSensorDataListFromCurrentPage(opts);
 		}).then((data_list) => {
 			data_list.forEach((d) => {
 				d['unixTime'] = time;
@@ -453,6 +1561,197 @@ EnvsensorDevice.prototype._getRecordedDataListFromPages = function (p) {
 	return promise;
 };
 
+/* ------------------------------------------------------------------
+* Method: downloadAllRecordedData([params])
+* - params       | object   | optional |
+*   - page       | integer  | optional | Page number to resume from. 0 - 2047.
+*   - row        | integer  | optional | Row number to resume from. 0 - 12. The default is 0.
+*   - onprogress | function | optional | Called whenever a page is downloaded.
+*   - signal     | object   | optional | `AbortSignal` to abort the download.
+*
+* - If the `page` is not specified, all records from the oldest page
+*   to the latest page are downloaded.
+* - The timing options can be specified in the `params` to override them
+*   only for this call.
+* - If the data recording mode has not been started, this method rejects.
+* ---------------------------------------------------------------- */
+EnvsensorDevice.prototype.downloadAllRecordedData = function (params) {
+	let promise = new Promise((resolve, reject) => {
+		let p = (params && typeof (params) === 'object') ? params : {};
+		let start = null;
+		if ('page' in p) {
+			let page = p['page'];
+			if (typeof (page) !== 'number' || page % 1 !== 0 || page < 0 || page > 2047) {
+				reject(new ValidationError('The page must be an integer in the range of 0 to 2047.', 'page'));
+				return;
+			}
+			let row = ('row' in p) ? p['row'] : 0;
+			if (typeof (row) !== 'number' || row % 1 !== 0 || row < 0 || row > 12) {
+				reject(new ValidationError('The row must be an integer in the range of 0 to 12.', 'row'));
+				return;
+			}
+			start = { page: page, row: row };
+		}
+		let onprogress = this._isFunction(p['onprogress']) ? p['onprogress'] : null;
+		let parsed = EnvsensorDevice._parseOptions(p, this._options);
+		if (parsed['error']) {
+			reject(parsed['error']);
+			return;
+		}
+		let opts = parsed['options'];
+		let signal_error = this._setSignal(opts, p);
+		if (signal_error) {
+			reject(signal_error);
+			return;
+		}
+
+		let latest = null;
+		this.getRecordingStatus().then((res) => {
+			if (res['isRecording'] === false) {
+				throw new NotRecordingError('The data recording mode has not been started.');
+			}
+			latest = res;
+			return this._getOldestPage(latest, opts);
+		}).then((oldest) => {
+			let page_list = this._getPageList(oldest, latest, start);
+			return this._downloadPages(page_list, latest['measurementInterval'], onprogress, opts);
+		}).then((data_list) => {
+			let next = this._getNextPageAndRow(latest['page'], latest['row']);
+			resolve({
+				measurementInterval: latest['measurementInterval'],
+				nextPage: next['page'],
+				nextRow: next['row'],
+				dataList: data_list
+			});
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return EnvsensorAbort.race(this._getSignal(params), promise);
+};
+
+// The flash memory is a ring buffer of 2048 pages. If the page next to the
+// latest page holds records older than the latest page, the ring buffer has
+// wrapped and that page is the oldest one. Otherwise, the page 0 is the oldest.
+EnvsensorDevice.prototype._getOldestPage = function (latest, opts) {
+	opts = opts || this._options;
+	return this._page_queue.push(() => {
+		EnvsensorAbort.throwIfAborted(opts['signal']);
+		let promise = new Promise((resolve, reject) => {
+			if (latest['page'] === 2047) {
+				resolve(0);
+				return;
+			}
+			let next_page = latest['page'] + 1;
+			let low = EnvsensorQueue.PRIORITY_LOW;
+			this._write('3003', { page: next_page, row: 12 }, false, low, opts).then(() => {
+				return this._wait(opts['pageRequestWait']);
+			}).then(() => {
+				return this._read('3004', low, opts);
+			}).then((res) => {
+				if (res['updateFlag'] === 0x01 && res['unixTime'] > 0 && res['unixTime'] < latest['unixTime']) {
+					resolve(next_page);
+				} else {
+					resolve(0);
+				}
+			}).catch((error) => {
+				reject(error);
+			});
+		});
+		return promise;
+	});
+};
+
+// Returns the list of the pages (and the rows in each page) to be downloaded.
+// A `ValidationError` is thrown if the `start` is out of the recorded pages.
+EnvsensorDevice.prototype._getPageList = function (oldest, latest, start) {
+	let page_list = [];
+	let page = oldest;
+	while (true) {
+		page_list.push({
+			page: page,
+			startRow: 0,
+			endRow: (page === latest['page']) ? latest['row'] : 12
+		});
+		if (page === latest['page']) {
+			break;
+		}
+		page = (page + 1) % 2048;
+	}
+	if (start) {
+		let idx = page_list.findIndex((item) => {
+			return item['page'] === start['page'];
+		});
+		if (idx < 0) {
+			// The `nextPage` of the previous download, nothing has been recorded since then
+			let next = this._getNextPageAndRow(latest['page'], latest['row']);
+			if (start['page'] === next['page'] && start['row'] === next['row']) {
+				return [];
+			}
+			throw new ValidationError('The page ' + start['page'] + ' is out of the recorded pages (' + oldest + ' to ' + latest['page'] + ').', 'page');
+		}
+		page_list = page_list.slice(idx);
+		page_list[0]['startRow'] = start['row'];
+		if (page_list[0]['startRow'] > page_list[0]['endRow']) {
+			page_list.shift();
+		}
+	}
+	return page_list;
+};
+
+EnvsensorDevice.prototype._getNextPageAndRow = function (page, row) {
+	if (row < 12) {
+		return { page: page, row: row + 1 };
+	} else {
+		return { page: (page + 1) % 2048, row: 0 };
+	}
+};
+
+EnvsensorDevice.prototype._downloadPages = function (page_list, interval, onprogress, opts) {
+	let promise = new Promise((resolve, reject) => {
+		let data_list = [];
+		let total = page_list.length;
+		let done = 0;
+		let downloadPage = () => {
+			let item = page_list.shift();
+			if (!item) {
+				resolve(data_list);
+				return;
+			}
+			this._getRecordedDataListFromPages({
+				page: item['page'],
+				row: item['endRow'],
+				interval: interval
+			}, opts).then((list) => {
+				list.forEach((d) => {
+					if (d['row'] >= item['startRow']) {
+						d['page'] = item['page'];
+						data_list.push(d);
+					}
+				});
+				done++;
+				if (onprogress) {
+					let next = this._getNextPageAndRow(item['page'], item['endRow']);
+					onprogress({
+						page: item['page'],
+						row: item['endRow'],
+						nextPage: next['page'],
+						nextRow: next['row'],
+						downloadedPages: done,
+						totalPages: total,
+						recordCount: data_list.length
+					});
+				}
+				downloadPage();
+			}).catch((error) => {
+				reject(error);
+			});
+		};
+		downloadPage();
+	});
+	return promise;
+};
+
 EnvsensorDevice.prototype._getTimeStampFromUnixTime = function (unix_time) {
 	let dt = new Date(unix_time * 1000);
 	let ymd = [
@@ -487,20 +1786,25 @@ EnvsensorDevice.prototype._wait = function (msec) {
 	return promise;
 };
 
-EnvsensorDevice.prototype._getRecordedSensorDataListFromCurrentPage = function () {
+EnvsensorDevice.prototype._getRecordedSensorDataListFromCurrentPage = function (opts) {
+	opts = opts || this._options;
 	let promise = new Promise((resolve, reject) => {
 		let data_list = [];
 		let getData = (callback) => {
-			this.getResponseData().then((res) => {
+			if (opts['signal'] && opts['signal'].aborted) {
+				callback(new EnvsensorErrors.AbortError());
+				return;
+			}
+			this._read('3005', EnvsensorQueue.PRIORITY_LOW, opts).then((res) => {
 				if (res['row'] > 12) {
 					setTimeout(() => {
 						callback();
-					}, 10);
+					}, opts['rowReadInterval']);
 				} else {
 					data_list.unshift(res);
 					setTimeout(() => {
 						getData(callback);
-					}, 10);
+					}, opts['rowReadInterval']);
 				}
 			}).catch((error) => {
 				callback(error);
@@ -528,54 +1832,61 @@ EnvsensorDevice.prototype.getLatestData = function () {
 * Method: startMonitoringData()
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.startMonitoringData = function (params) {
-	let promise = new Promise((resolve, reject) => {
-		let char_uuid = '3001';
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('The characteristic UUID `' + char_uuid + '` is not supported.'));
-			return;
-		}
-		char.subscribe((error) => {
-			if (error) {
-				reject(error);
+	return this._queue.push(() => {
+		let promise = new Promise((resolve, reject) => {
+			let char_uuid = '3001';
+			let res = this._getChar(char_uuid);
+			if (res['error']) {
+				reject(res['error']);
 				return;
 			}
-			char.on('data', (buf) => {
-				if (!this._isFunction(this.onsensordata)) {
+			let char = res['char'];
+			char.subscribe((error) => {
+				if (error) {
+					reject(this._wrapGattError(error, char_uuid, 'subscribe'));
 					return;
 				}
-				let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
-				if (parsed) {
-					this.onsensordata(parsed);
-				}
+				this._setDataHandler(char_uuid, char, (buf) => {
+					let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
+					if (parsed) {
+						this._dispatch('sensordata', this.onsensordata, parsed);
+					} else if (this.listenerCount('error') > 0) {
+						this.emit('error', new ProtocolError('Unknown Response Data', char_uuid, buf));
+					}
+				});
+				this._monitoring[char_uuid] = true;
+				resolve();
 			});
-			resolve();
 		});
+		return promise;
 	});
-	return promise;
 };
 
 /* ------------------------------------------------------------------
 * Method: stopMonitoringData()
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.stopMonitoringData = function () {
-	let promise = new Promise((resolve, reject) => {
-		let char_uuid = '3001';
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('The characteristic UUID `' + char_uuid + '` is not supported.'));
-			return;
-		}
-		char.unsubscribe((error) => {
-			if (error) {
-				reject(error);
-			} else {
-				char.removeAllListeners('data');
-				resolve();
+	return this._queue.push(() => {
+		let promise = new Promise((resolve, reject) => {
+			let char_uuid = '3001';
+			let res = this._getChar(char_uuid);
+			if (res['error']) {
+				reject(res['error']);
+				return;
 			}
+			let char = res['char'];
+			char.unsubscribe((error) => {
+				if (error) {
+					reject(this._wrapGattError(error, char_uuid, 'unsubscribe'));
+				} else {
+					this._setDataHandler(char_uuid, null, null);
+					this._monitoring[char_uuid] = false;
+					resolve();
+				}
+			});
 		});
+		return promise;
 	});
-	return promise;
 };
 
 /* ##################################################################
@@ -605,7 +1916,9 @@ EnvsensorDevice.prototype.getRequestPage = function () {
 * - At least one parameter is required.
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.setRequestPage = function (params) {
-	return this._setValue('3003', params);
+	return this._page_queue.push(() => {
+		return this._setValue('3003', params);
+	});
 };
 
 /* ------------------------------------------------------------------
@@ -626,54 +1939,61 @@ EnvsensorDevice.prototype.getResponseData = function () {
 * Method: startMonitoringEventFlag()
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.startMonitoringEventFlag = function (params) {
-	let promise = new Promise((resolve, reject) => {
-		let char_uuid = '3006';
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('The characteristic UUID `' + char_uuid + '` is not supported.'));
-			return;
-		}
-		char.subscribe((error) => {
-			if (error) {
-				reject(error);
+	return this._queue.push(() => {
+		let promise = new Promise((resolve, reject) => {
+			let char_uuid = '3006';
+			let res = this._getChar(char_uuid);
+			if (res['error']) {
+				reject(res['error']);
 				return;
 			}
-			char.on('data', (buf) => {
-				if (!this._isFunction(this.oneventflag)) {
+			let char = res['char'];
+			char.subscribe((error) => {
+				if (error) {
+					reject(this._wrapGattError(error, char_uuid, 'subscribe'));
 					return;
 				}
-				let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
-				if (parsed) {
-					this.oneventflag(parsed);
-				}
+				this._setDataHandler(char_uuid, char, (buf) => {
+					let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
+					if (parsed) {
+						this._dispatch('eventflag', this.oneventflag, parsed);
+					} else if (this.listenerCount('error') > 0) {
+						this.emit('error', new ProtocolError('Unknown Response Data', char_uuid, buf));
+					}
+				});
+				this._monitoring[char_uuid] = true;
+				resolve();
 			});
-			resolve();
 		});
+		return promise;
 	});
-	return promise;
 };
 
 /* ------------------------------------------------------------------
 * Method: stopMonitoringEventFlag()
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.stopMonitoringEventFlag = function () {
-	let promise = new Promise((resolve, reject) => {
-		let char_uuid = '3006';
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('The characteristic UUID `' + char_uuid + '` is not supported.'));
-			return;
-		}
-		char.unsubscribe((error) => {
-			if (error) {
-				reject(error);
-			} else {
-				char.removeAllListeners('data');
-				resolve();
+	return this._queue.push(() => {
+		let promise = new Promise((resolve, reject) => {
+			let char_uuid = '3006';
+			let res = this._getChar(char_uuid);
+			if (res['error']) {
+				reject(res['error']);
+				return;
 			}
+			let char = res['char'];
+			char.unsubscribe((error) => {
+				if (error) {
+					reject(this._wrapGattError(error, char_uuid, 'unsubscribe'));
+				} else {
+					this._setDataHandler(char_uuid, null, null);
+					this._monitoring[char_uuid] = false;
+					resolve();
+				}
+			});
 		});
+		return promise;
 	});
-	return promise;
 };
 
 /* ------------------------------------------------------------------
@@ -694,6 +2014,7 @@ EnvsensorDevice.prototype.getMeasurementInterval = function () {
 * Method: setMeasurementInterval(params)
 * - params                | object  | required |
 *   - measurementInterval | integer | required | Measurement interval. 1 - 3600 (sec). The default is 300 sec.
+*   - dryRun              | boolean | optional | If `true`, nothing is written. See the `_setValue()`.
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.setMeasurementInterval = function (params) {
 	return this._setValue('3011', params);
@@ -867,8 +2188,9 @@ EnvsensorDevice.prototype.getUuid = function () {
 
 /* ------------------------------------------------------------------
 * Method: setUuid(params)
-* - params  | object  | required |
-*   - uuid  | string  | required | UUID. The default is "0C4C3000-7700-46F4-AA96D5E974E32A54".
+* - params    | object  | required |
+*   - uuid    | string  | required | UUID. The default is "0C4C3000-7700-46F4-AA96D5E974E32A54".
+*   - dryRun  | boolean | optional | If `true`, nothing is written. See the `_setValue()`.
 * ---------------------------------------------------------------- */
 EnvsensorDevice.prototype.setUuid = function (params) {
 	return this._setValue('3041', params);
@@ -894,6 +2216,7 @@ EnvsensorDevice.prototype.getAdvSetting = function () {
 *                        |         |          | The value must be in the range of 1 to 16383 (sec). The default is 50 sec.
 *   - beaconMode         | integer | optional | Beacon Mode. The value must be 0, 1, 2, 3, 4, 5, 7, or 8. The default is 8.
 *   - txPowerLevel       | integer | optional | Tx Power. The value must be -20, -16, -12, -8, -4, 0, or 4. The default is 0.
+*   - dryRun             | boolean | optional | If `true`, nothing is written. See the `_setValue()`.
 *
 *   - At least one parameter is required.
 * ---------------------------------------------------------------- */
@@ -972,38 +2295,43 @@ EnvsensorDevice.prototype._readValue = function (char_uuid) {
 	return this._read(char_uuid);
 };
 
+// Reads the current value of the characteristic, overrides it with the
+// `params`, then writes it. If the `params['dryRun']` is `true`, nothing is
+// written, and the list of the changes (see the `_createDiff()`) is passed
+// to the `resolve()` function instead.
 EnvsensorDevice.prototype._setValue = function (char_uuid, params) {
 	let promise = new Promise((resolve, reject) => {
 		if (!params || typeof (params) !== 'object' || Object.keys(params).length === 0) {
-			reject(new Error('No parameter was specified.'));
+			reject(new ValidationError('No parameter was specified.'));
 			return;
 		}
 
-		let override_num = 0;
-		let overrideObject = (base, obj) => {
-			Object.keys(base).forEach((k) => {
-				if (k in obj) {
-					let v = obj[k];
-					if (typeof (v) === 'object') {
-						overrideObject(base[k], v);
-					} else {
-						base[k] = v;
-						override_num++;
+		let dry_run = false;
+		if ('dryRun' in params) {
+			if (typeof (params['dryRun']) !== 'boolean') {
+				reject(new ValidationError('The `dryRun` must be a boolean.', 'dryRun'));
+				return;
+			}
+			dry_run = params['dryRun'];
+		}
+
+		this._config_queue.push(() => {
+			return this._read(char_uuid).then((res) => {
+				let p = this._toWriteData(char_uuid, res);
+				if (this._overrideValue(p, params) === 0) {
+					throw new ValidationError('No parameter was specified.');
+				}
+				if (dry_run) {
+					let diff = this._createDiff(char_uuid, res, p);
+					if (diff['error']) {
+						throw diff['error'];
 					}
+					return diff['diff'];
 				}
+				return this._write(char_uuid, p);
 			});
-		};
-
-		let p = null;
-		this._read(char_uuid).then((res) => {
-			p = res;
-			overrideObject(p, params)
-			if (override_num === 0) {
-				throw new Error('No parameter was specified.');
-			}
-			return this._write(char_uuid, p);
-		}).then(() => {
-			resolve();
+		}).then((diff) => {
+			resolve(diff);
 		}).catch((error) => {
 			reject(error);
 		});
@@ -1011,63 +2339,124 @@ EnvsensorDevice.prototype._setValue = function (char_uuid, params) {
 	return promise;
 };
 
-EnvsensorDevice.prototype._read = function (char_uuid) {
+// Overrides the values in the `base` with the values of the same keys in the
+// `obj`, and returns the number of the values overridden
+EnvsensorDevice.prototype._overrideValue = function (base, obj) {
+	let override_num = 0;
+	Object.keys(base).forEach((k) => {
+		if (k in obj) {
+			let v = obj[k];
+			if (typeof (v) === 'object') {
+				override_num += this._overrideValue(base[k], v);
+			} else {
+				base[k] = v;
+				override_num++;
+			}
+		}
+	});
+	return override_num;
+};
+
+// Returns a copy of the `value` read from the characteristic as the data to
+// be written, so that it is read back as it is. The `major` and the `minor`
+// of the 3041 are read as big-endian by the `getUuid()`, while they are
+// written as little-endian by the `setUuid()`, so they are byte-swapped.
+EnvsensorDevice.prototype._toWriteData = function (char_uuid, value) {
+	let data = JSON.parse(JSON.stringify(value));
+	if (char_uuid === '3041') {
+		['major', 'minor'].forEach((k) => {
+			if (typeof (data[k]) === 'number') {
+				data[k] = ((data[k] & 0xff) << 8) | ((data[k] >> 8) & 0xff);
+			}
+		});
+	}
+	return data;
+};
+
+// Returns `{diff}`, where the `diff` is the list of `{field, current, proposed}`
+// for the values which would be changed by writing the `data`, or `{error}`.
+// The `proposed` is the value as it would be stored in the device, that is,
+// the `data` is encoded and then decoded (e.g., the ADV intervals are
+// rounded to the steps of 0.625 msec).
+EnvsensorDevice.prototype._createDiff = function (char_uuid, current, data) {
+	let res = EnvsensorChars.createWriteBuffer(char_uuid, data);
+	if (res['error']) {
+		return { error: res['error'] };
+	}
+	let proposed = EnvsensorChars.parseResponse(char_uuid, res['buffer']);
+	let diff = this._compareValues(proposed, current, '', []).map((m) => {
+		return { field: m['field'], current: m['actual'], proposed: m['expected'] };
+	});
+	return { diff: diff };
+};
+
+EnvsensorDevice.prototype._read = function (char_uuid, priority, opts) {
+	return this._queue.push(() => {
+		return this._readChar(char_uuid, opts);
+	}, priority);
+};
+
+EnvsensorDevice.prototype._readChar = function (char_uuid, opts) {
 	let promise = new Promise((resolve, reject) => {
 		if (typeof (char_uuid) === 'string') {
 			char_uuid = char_uuid.toLocaleLowerCase();
 		} else if (typeof (char_uuid) === 'number') {
 			char_uuid = char_uuid.toString(16);
 		} else {
-			reject(new Error('Unknown characteristic'));
+			reject(new ValidationError('The characteristic UUID must be a string or a number.', 'charUuid'));
 			return;
 		}
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('Unknown characteristic'));
+		let res = this._getChar(char_uuid);
+		if (res['error']) {
+			reject(res['error']);
 			return;
 		}
+		let char = res['char'];
 
-		let n = 0;
 		let readData = (callback) => {
-			n++;
-			let timer = setTimeout(() => {
-				if (n < this._REQUEST_RETRY_MAX) {
-					readData(callback);
-				} else {
-					timer = null;
-					callback(new Error('Timeout.'));
-				}
-			}, this._RESPONSE_TIMEOUT_MSEC);
-
-			char.read((error, buf) => {
-				if (timer) {
-					clearTimeout(timer);
-					timer = null;
-				}
-				if (error) {
-					callback(error);
-				} else {
-					let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
-					if (parsed) {
-						callback(null, parsed);
-					} else {
-						callback(new Error('Unknown Response Data'));
-					}
-				}
-			});
+			char.read(callback);
 		};
-		readData((error, res) => {
+		this._request(readData, opts || this._options, (error, buf) => {
 			if (error) {
-				reject(error);
+				reject(this._wrapGattError(error, char_uuid, 'read'));
+				return;
+			}
+			let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
+			if (parsed) {
+				resolve(parsed);
 			} else {
-				resolve(res);
+				reject(new ProtocolError('Unknown Response Data', char_uuid, buf));
 			}
 		});
 	});
 	return promise;
 };
 
-EnvsensorDevice.prototype._write = function (char_uuid, data, without_response) {
+EnvsensorDevice.prototype._write = function (char_uuid, data, without_response, priority, opts) {
+	return this._queue.push(() => {
+		return this._writeChar(char_uuid, data, without_response, opts).then(() => {
+			let tolerances = EnvsensorDevice._VERIFY_TOLERANCES[char_uuid];
+			if (!(opts || this._options)['verifyWrites'] || !tolerances) {
+				return;
+			}
+			// Read back in the same task of the queue, so that no other
+			// request is run between the write and the read
+			return this._readChar(char_uuid, opts).then((actual) => {
+				// The `data` is compared as it is read back from the bytes written
+				let expected = EnvsensorChars.parseResponse(char_uuid, EnvsensorChars.createWriteBuffer(char_uuid, data)['buffer']);
+				let mismatches = this._compareValues(expected, actual, '', [], tolerances);
+				if (mismatches.length > 0) {
+					let details = mismatches.map((m) => {
+						return m['field'] + ' (expected ' + m['expected'] + ', actual ' + m['actual'] + ')';
+					});
+					throw new VerificationError('The value read back from the characteristic `' + char_uuid + '` differs from the value written: ' + details.join(', '), mismatches, char_uuid);
+				}
+			});
+		});
+	}, priority);
+};
+
+EnvsensorDevice.prototype._writeChar = function (char_uuid, data, without_response, opts) {
 	without_response = without_response ? true : false;
 	let promise = new Promise((resolve, reject) => {
 		if (typeof (char_uuid) === 'string') {
@@ -1075,56 +2464,121 @@ EnvsensorDevice.prototype._write = function (char_uuid, data, without_response)
 		} else if (typeof (char_uuid) === 'number') {
 			char_uuid = char_uuid.toString(16);
 		} else {
-			reject(new Error('Unknown characteristic'));
+			reject(new ValidationError('The characteristic UUID must be a string or a number.', 'charUuid'));
 			return;
 		}
-		let char = this._chars[char_uuid];
-		if (!char) {
-			reject(new Error('Unknown characteristic'));
+		let res = this._getChar(char_uuid);
+		if (res['error']) {
+			reject(res['error']);
 			return;
 		}
-		let res = EnvsensorChars.createWriteBuffer(char_uuid, data);
-		if (res) {
-			if (res['error']) {
-				reject(res['error']);
+		let char = res['char'];
+		let created = EnvsensorChars.createWriteBuffer(char_uuid, data);
+		if (created) {
+			if (created['error']) {
+				reject(created['error']);
 			} else {
-				let n = 0;
 				let writeData = (callback) => {
-					n++;
-					let timer = setTimeout(() => {
-						if (n < this._REQUEST_RETRY_MAX) {
-							writeData(callback);
-						} else {
-							timer = null;
-							callback(new Error('Timeout.'));
-						}
-					}, this._RESPONSE_TIMEOUT_MSEC);
-
-					char.write(res['buffer'], without_response, (error) => {
-						if (timer) {
-							clearTimeout(timer);
-							timer = null;
-						}
-						if (error) {
-							callback(error);
-						} else {
-							callback(null);
-						}
-					});
+					char.write(created['buffer'], without_response, callback);
 				};
-				writeData((error, res) => {
+				this._request(writeData, opts || this._options, (error) => {
 					if (error) {
-						reject(error);
+						reject(this._wrapGattError(error, char_uuid, 'write'));
 					} else {
-						resolve(res);
+						resolve();
 					}
 				});
 			}
 		} else {
-			reject(new Error('The characteristic does not support `Write`.'));
+			reject(new EnvsensorError('The characteristic `' + char_uuid + '` does not support `Write`.', 'ERR_UNSUPPORTED'));
 		}
 	});
 	return promise;
 };
 
+// Returns the characteristic as `{char}`, or `{error}` if the device is not
+// connected or the characteristic is not supported
+EnvsensorDevice.prototype._getChar = function (char_uuid) {
+	if (!this.isConnected()) {
+		return { error: new NotConnectedError('The device is not connected.') };
+	}
+	let char = this._chars[char_uuid];
+	if (!char) {
+		return { error: new EnvsensorError('The characteristic UUID `' + char_uuid + '` is not supported.', 'ERR_UNSUPPORTED') };
+	}
+	return { char: char };
+};
+
+// Errors reported by the BLE stack are wrapped in a `GattError`
+EnvsensorDevice.prototype._wrapGattError = function (error, char_uuid, operation) {
+	if (error instanceof EnvsensorError) {
+		return error;
+	}
+	return new GattError('Failed to ' + operation + ' the characteristic `' + char_uuid + '`: ' + error.message, char_uuid, error);
+};
+
+// Runs a GATT operation with the timeout and the retry policy in the `opts`.
+// A request which timed out is retried up to `timeoutRetries` times, and a
+// request which failed with a GATT error is retried up to `errorRetries`
+// times. A late response to a timed out attempt is still accepted if the
+// request has not been finished yet, but a late error is ignored. If the
+// connection is dropped, the request is finished with a `NotConnectedError`.
+EnvsensorDevice.prototype._request = function (operation, opts, callback) {
+	let timeout_num = 0;
+	let error_num = 0;
+	let timer = null;
+	let finished = false;
+
+	let finish = (error, res) => {
+		finished = true;
+		if (timer) {
+			clearTimeout(timer);
+			timer = null;
+		}
+		let idx = this._request_aborters.indexOf(finish);
+		if (idx >= 0) {
+			this._request_aborters.splice(idx, 1);
+		}
+		callback(error, res);
+	};
+	this._request_aborters.push(finish);
+
+	let retry = () => {
+		timer = setTimeout(attempt, opts['retryDelay']);
+	};
+
+	let attempt = () => {
+		let timed_out = false;
+		timer = setTimeout(() => {
+			timer = null;
+			timed_out = true;
+			if (timeout_num < opts['timeoutRetries']) {
+				timeout_num++;
+				retry();
+			} else {
+				finish(new TimeoutError('Timeout.'));
+			}
+		}, opts['responseTimeout']);
+
+		operation((error, res) => {
+			if (finished) {
+				return;
+			}
+			if (!error) {
+				finish(null, res);
+			} else if (!timed_out) {
+				clearTimeout(timer);
+				timer = null;
+				if (error_num < opts['errorRetries']) {
+					error_num++;
+					retry();
+				} else {
+					finish(error);
+				}
+			}
+		});
+	};
+	attempt();
+};
+
 module.exports = EnvsensorDevice;
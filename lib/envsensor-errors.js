@@ -0,0 +1,162 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-errors.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const util = require('util');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorError(message[, code[, cause]])
+* - The base of all the errors of this module. The `code` is a string
+*   which can be used to identify the type of the error. The `cause` is
+*   the original error, if any.
+* ---------------------------------------------------------------- */
+const EnvsensorError = function (message, code, cause) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, this.constructor);
+	}
+	this.name = 'EnvsensorError';
+	this.message = message;
+	this.code = code || 'ERR_ENVSENSOR';
+	if (cause) {
+		this.cause = cause;
+	}
+};
+util.inherits(EnvsensorError, Error);
+
+/* ------------------------------------------------------------------
+* Constructor: TimeoutError(message)
+* - The device did not respond in time.
+* ---------------------------------------------------------------- */
+const TimeoutError = function (message) {
+	EnvsensorError.call(this, message, 'ERR_TIMEOUT');
+	this.name = 'TimeoutError';
+};
+util.inherits(TimeoutError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: NotConnectedError(message)
+* - The device is not connected, or was disconnected while the
+*   operation was in progress.
+* ---------------------------------------------------------------- */
+const NotConnectedError = function (message) {
+	EnvsensorError.call(this, message, 'ERR_NOT_CONNECTED');
+	this.name = 'NotConnectedError';
+};
+util.inherits(NotConnectedError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: ConnectionError(message[, cause])
+* - Failed to connect to or disconnect from the device. The `cause` is
+*   the error reported by the BLE stack.
+* ---------------------------------------------------------------- */
+const ConnectionError = function (message, cause) {
+	EnvsensorError.call(this, message, 'ERR_CONNECTION');
+	this.name = 'ConnectionError';
+	this.cause = cause || null;
+};
+util.inherits(ConnectionError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: GattError(message, charUuid[, cause])
+* - A read or a write of a characteristic failed in the BLE stack.
+* ---------------------------------------------------------------- */
+const GattError = function (message, char_uuid, cause) {
+	EnvsensorError.call(this, message, 'ERR_GATT');
+	this.name = 'GattError';
+	this.charUuid = char_uuid || null;
+	this.cause = cause || null;
+};
+util.inherits(GattError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: ValidationError(message, field)
+* - A parameter is invalid. The `field` is the name of the offending
+*   parameter (e.g., "page", "lowerLimit.threshold").
+* ---------------------------------------------------------------- */
+const ValidationError = function (message, field) {
+	EnvsensorError.call(this, message, 'ERR_VALIDATION');
+	this.name = 'ValidationError';
+	this.field = field || null;
+};
+util.inherits(ValidationError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: ProtocolError(message, charUuid[, buffer])
+* - The device returned an unexpected response. The `buffer` is the raw
+*   data of the response if available.
+* ---------------------------------------------------------------- */
+const ProtocolError = function (message, char_uuid, buffer) {
+	EnvsensorError.call(this, message, 'ERR_PROTOCOL');
+	this.name = 'ProtocolError';
+	this.charUuid = char_uuid || null;
+	this.buffer = buffer || null;
+};
+util.inherits(ProtocolError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: NotRecordingError(message)
+* - The data recording mode has not been started.
+* ---------------------------------------------------------------- */
+const NotRecordingError = function (message) {
+	EnvsensorError.call(this, message, 'ERR_NOT_RECORDING');
+	this.name = 'NotRecordingError';
+};
+util.inherits(NotRecordingError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: AbortError(message)
+* - The operation was aborted through an `AbortSignal`. The `code` is
+*   the same as the one of the `AbortError` of Node.js.
+* ---------------------------------------------------------------- */
+const AbortError = function (message) {
+	EnvsensorError.call(this, message || 'The operation was aborted.', 'ABORT_ERR');
+	this.name = 'AbortError';
+};
+util.inherits(AbortError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: VerificationError(message, mismatches[, charUuid])
+* - The values read back from the device differ from the values
+*   written. The `mismatches` is a list of `{field, expected, actual}`,
+*   which has the `tolerance` as well if the values were compared with
+*   tolerances.
+* ---------------------------------------------------------------- */
+const VerificationError = function (message, mismatches, char_uuid) {
+	EnvsensorError.call(this, message, 'ERR_VERIFICATION');
+	this.name = 'VerificationError';
+	this.mismatches = mismatches || [];
+	this.charUuid = char_uuid || null;
+};
+util.inherits(VerificationError, EnvsensorError);
+
+/* ------------------------------------------------------------------
+* Constructor: TransactionError(message, cause, rolledBack, rollbackFailed)
+* - A write in a transaction failed. The `cause` is the error of the
+*   write. The `rolledBack` is the list of the names of the writes
+*   restored to the original values, and the `rollbackFailed` is the
+*   list of `{name, error}` which could not be restored.
+* ---------------------------------------------------------------- */
+const TransactionError = function (message, cause, rolled_back, rollback_failed) {
+	EnvsensorError.call(this, message, 'ERR_TRANSACTION');
+	this.name = 'TransactionError';
+	this.cause = cause || null;
+	this.rolledBack = rolled_back || [];
+	this.rollbackFailed = rollback_failed || [];
+};
+util.inherits(TransactionError, EnvsensorError);
+
+module.exports = {
+	EnvsensorError: EnvsensorError,
+	TimeoutError: TimeoutError,
+	NotConnectedError: NotConnectedError,
+	ConnectionError: ConnectionError,
+	GattError: GattError,
+	ValidationError: ValidationError,
+	ProtocolError: ProtocolError,
+	NotRecordingError: NotRecordingError,
+	AbortError: AbortError,
+	VerificationError: VerificationError,
+	TransactionError: TransactionError
+};
@@ -0,0 +1,217 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-presence.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const ValidationError = require('./envsensor-errors.js').ValidationError;
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorPresence([params])
+* - Keeps the table of the devices seen, and detects the devices which
+*   start or stop advertising.
+* - params:
+*     timeout      : A device is regarded as absent if no packet has been
+*                    received for this period (msec).
+*     silentPeriod : Silent period of the Limited Broadcaster modes (sec).
+*                    The default is the default value of the device
+*                    (50 sec).
+*     devices      : The `timeout`, the `silentPeriod` and the `beaconMode`
+*                    for each device, keyed by the ID or the address of
+*                    the device.
+*
+* - The modes 0x03 and 0x05 (Limited Broadcaster) can not be distinguished
+*   from the modes 0x02 and 0x04 by the packets. So the `silentPeriod` is
+*   added to the `timeout` only of the devices whose `beaconMode` is 0x03
+*   or 0x05, or whose own `silentPeriod` is specified in the `devices`.
+* ---------------------------------------------------------------- */
+const EnvsensorPresence = function (params) {
+	this._timeout = 30000;
+	this._silent_period = 50;
+	this._device_params = {};
+	let err = this._checkParams(params);
+	if (err) {
+		throw err;
+	}
+	this._devices = {};
+};
+
+EnvsensorPresence.prototype._checkParams = function (params) {
+	if (params === undefined || params === null) {
+		return null;
+	}
+	if (typeof (params) !== 'object') {
+		return new ValidationError('The `presence` must be a hash object.', 'presence');
+	}
+	let res = this._checkTimeouts(params, '');
+	if (res['error']) {
+		return res['error'];
+	}
+	let device_params = {};
+	if ('devices' in params) {
+		let devices = params['devices'];
+		if (!devices || typeof (devices) !== 'object') {
+			return new ValidationError('The `devices` must be a hash object.', 'devices');
+		}
+		let keys = Object.keys(devices);
+		for (let i = 0; i < keys.length; i++) {
+			let k = keys[i];
+			if (!devices[k] || typeof (devices[k]) !== 'object') {
+				return new ValidationError('The `devices.' + k + '` must be a hash object.', 'devices.' + k);
+			}
+			let r = this._checkTimeouts(devices[k], 'devices.' + k + '.');
+			if (r['error']) {
+				return r['error'];
+			}
+			device_params[this._normalizeKey(k)] = devices[k];
+		}
+	}
+	if ('timeout' in params) {
+		this._timeout = params['timeout'];
+	}
+	if ('silentPeriod' in params) {
+		this._silent_period = params['silentPeriod'];
+	}
+	this._device_params = device_params;
+	return null;
+};
+
+// "C3:D8:A7:DC:0C:8E" and "c3d8a7dc0c8e" are regarded as the same
+EnvsensorPresence.prototype._normalizeKey = function (key) {
+	return (key || '').replace(/:/g, '').toLowerCase();
+};
+
+EnvsensorPresence.prototype._checkTimeouts = function (p, prefix) {
+	if ('timeout' in p) {
+		let v = p['timeout'];
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < 1000) {
+			return { error: new ValidationError('The `' + prefix + 'timeout` must be an integer greater than or equal to 1000.', prefix + 'timeout') };
+		}
+	}
+	if ('silentPeriod' in p) {
+		let v = p['silentPeriod'];
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < 0 || v > 16383) {
+			return { error: new ValidationError('The `' + prefix + 'silentPeriod` must be an integer in the range of 0 to 16383.', prefix + 'silentPeriod') };
+		}
+	}
+	if (prefix && 'beaconMode' in p) {
+		let v = p['beaconMode'];
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < 0 || v > 8) {
+			return { error: new ValidationError('The `' + prefix + 'beaconMode` must be an integer in the range of 0 to 8.', prefix + 'beaconMode') };
+		}
+	}
+	return {};
+};
+
+// Returns the period (msec) after which the device is regarded as absent
+EnvsensorPresence.prototype._getTimeout = function (dev) {
+	let p = this._device_params[this._normalizeKey(dev['id'])] || this._device_params[this._normalizeKey(dev['address'])] || {};
+	let timeout = ('timeout' in p) ? p['timeout'] : this._timeout;
+	let limited = ('beaconMode' in p) ? (p['beaconMode'] === 0x03 || p['beaconMode'] === 0x05) : ('silentPeriod' in p);
+	if (limited) {
+		timeout += (('silentPeriod' in p) ? p['silentPeriod'] : this._silent_period) * 1000;
+	}
+	return timeout;
+};
+
+/* ------------------------------------------------------------------
+* Method: update(ad, time)
+* - ad: The advertisement data parsed by the `EnvsensorAdvertising`.
+* - time: `Date` object of the reception time.
+*
+* - Returns the entry of the device if it has appeared, otherwise
+*   returns `null`.
+* ---------------------------------------------------------------- */
+EnvsensorPresence.prototype.update = function (ad, time) {
+	let dev = this._devices[ad['id']];
+	if (!dev) {
+		dev = {
+			id: ad['id'],
+			address: ad['address'],
+			localName: ad['localName'],
+			present: false,
+			firstSeen: time,
+			lastSeen: time,
+			since: time // Base time of the timeout
+		};
+		this._devices[ad['id']] = dev;
+	}
+	dev['localName'] = ad['localName'];
+	dev['lastSeen'] = time;
+	dev['since'] = time;
+	if (dev['present']) {
+		return null;
+	}
+	dev['present'] = true;
+	return this._createEntry(dev);
+};
+
+/* ------------------------------------------------------------------
+* Method: sweep(now)
+* - now: `Date` object of the current time.
+*
+* - Returns the list of the entries of the devices which have
+*   disappeared since the last call.
+* ---------------------------------------------------------------- */
+EnvsensorPresence.prototype.sweep = function (now) {
+	let list = [];
+	Object.keys(this._devices).forEach((id) => {
+		let dev = this._devices[id];
+		if (dev['present'] && now.getTime() - dev['since'].getTime() > this._getTimeout(dev)) {
+			dev['present'] = false;
+			list.push(this._createEntry(dev));
+		}
+	});
+	return list;
+};
+
+/* ------------------------------------------------------------------
+* Method: restart(now)
+* - Called when a scan is started. The devices regarded as present are
+*   given the full timeout from the `now`, as the packets were not
+*   received while not scanning.
+* ---------------------------------------------------------------- */
+EnvsensorPresence.prototype.restart = function (now) {
+	Object.keys(this._devices).forEach((id) => {
+		let dev = this._devices[id];
+		if (dev['present'] && dev['since'].getTime() < now.getTime()) {
+			dev['since'] = now;
+		}
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: get([id])
+* - Returns the entry of the device specified by the `id`, or the list
+*   of the entries of all the devices seen. `null` is returned if the
+*   device has not been seen.
+* ---------------------------------------------------------------- */
+EnvsensorPresence.prototype.get = function (id) {
+	if (id !== undefined && id !== null) {
+		let dev = this._devices[id];
+		return dev ? this._createEntry(dev) : null;
+	}
+	return Object.keys(this._devices).map((id) => {
+		return this._createEntry(this._devices[id]);
+	});
+};
+
+EnvsensorPresence.prototype._createEntry = function (dev) {
+	return {
+		id: dev['id'],
+		address: dev['address'],
+		localName: dev['localName'],
+		present: dev['present'],
+		firstSeen: dev['firstSeen'],
+		lastSeen: dev['lastSeen'],
+		timeout: this._getTimeout(dev)
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: reset()
+* ---------------------------------------------------------------- */
+EnvsensorPresence.prototype.reset = function () {
+	this._devices = {};
+};
+
+module.exports = EnvsensorPresence;
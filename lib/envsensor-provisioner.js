@@ -0,0 +1,303 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-provisioner.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const EnvsensorErrors = require('./envsensor-errors.js');
+const EnvsensorAbort = require('./envsensor-abort.js');
+const EnvsensorDevice = require('./envsensor-device.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorProvisioner(envsensor, params)
+* - Applies a configuration profile to many devices one by one.
+* - envsensor: The `Envsensor` object used to discover the devices.
+* - params:
+*     profile    : The configuration profile applied to all the devices
+*                  (see the `importConfiguration()` of the
+*                  `EnvsensorDevice`).
+*     devices    : The list of `{address, profile}`. The `profile` is
+*                  merged into the common `profile` for the device. If
+*                  omitted, all the devices discovered are provisioned.
+*                  Otherwise the discovery finishes as soon as all the
+*                  devices are discovered.
+*     idFilter   : Forward match of the ID of the devices discovered.
+*     duration   : Duration of the discovery (msec).
+*     setTime    : The clock of each device is set if `true`.
+*     ledDuration: The LED of each device is turned on for this period
+*                  (sec) when it is provisioned. `0` disables it.
+*     onprogress : Called with the result of each device.
+*     signal     : `AbortSignal` to stop provisioning.
+* - The common profile and the profile of each device in the `devices` are
+*   validated before any device is connected. A `ValidationError` is
+*   thrown if any of them is invalid.
+* ---------------------------------------------------------------- */
+const EnvsensorProvisioner = function (envsensor, params) {
+	this._envsensor = envsensor;
+	this._profile = { version: 1 };
+	this._devices = null;
+	this._id_filter = '';
+	this._duration = 10000;
+	this._set_time = true;
+	this._led_duration = 3;
+	this._onprogress = null;
+	this._signal = null;
+	let err = this._checkParams(params);
+	if (err) {
+		throw err;
+	}
+};
+
+EnvsensorProvisioner.prototype._checkParams = function (params) {
+	if (!params || typeof (params) !== 'object') {
+		return new EnvsensorErrors.ValidationError('The `params` must be a hash object.', 'params');
+	}
+	if ('profile' in params) {
+		if (!params['profile'] || typeof (params['profile']) !== 'object') {
+			return new EnvsensorErrors.ValidationError('The `profile` must be a hash object.', 'profile');
+		}
+		this._profile = params['profile'];
+	}
+	let err = EnvsensorDevice._checkProfile(this._profile);
+	if (err) {
+		return new EnvsensorErrors.ValidationError('profile: ' + err.message, 'profile.' + err.field);
+	}
+	if ('devices' in params) {
+		let devices = params['devices'];
+		if (!Array.isArray(devices) || devices.length === 0) {
+			return new EnvsensorErrors.ValidationError('The `devices` must be a non-empty array.', 'devices');
+		}
+		let keys = {};
+		for (let i = 0; i < devices.length; i++) {
+			let d = devices[i];
+			let prefix = 'devices[' + i + ']';
+			if (!d || typeof (d) !== 'object' || typeof (d['address']) !== 'string' || !d['address']) {
+				return new EnvsensorErrors.ValidationError('The `' + prefix + '.address` must be a string.', prefix + '.address');
+			}
+			if ('profile' in d) {
+				if (!d['profile'] || typeof (d['profile']) !== 'object') {
+					return new EnvsensorErrors.ValidationError('The `' + prefix + '.profile` must be a hash object.', prefix + '.profile');
+				}
+				let err = EnvsensorDevice._checkProfile(this._mergeProfile(this._profile, d['profile']));
+				if (err) {
+					return new EnvsensorErrors.ValidationError(prefix + '.profile: ' + err.message, prefix + '.profile.' + err.field);
+				}
+			}
+			let key = this._normalizeAddress(d['address']);
+			if (keys[key]) {
+				return new EnvsensorErrors.ValidationError('The `' + prefix + '.address` is duplicated.', prefix + '.address');
+			}
+			keys[key] = true;
+		}
+		this._devices = devices;
+	}
+	if ('idFilter' in params) {
+		if (typeof (params['idFilter']) !== 'string') {
+			return new EnvsensorErrors.ValidationError('The `idFilter` must be a string.', 'idFilter');
+		}
+		this._id_filter = params['idFilter'];
+	}
+	if ('duration' in params) {
+		let v = params['duration'];
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < 1000 || v > 60000) {
+			return new EnvsensorErrors.ValidationError('The `duration` must be an integer in the range of 1000 to 60000.', 'duration');
+		}
+		this._duration = v;
+	}
+	if ('setTime' in params) {
+		if (typeof (params['setTime']) !== 'boolean') {
+			return new EnvsensorErrors.ValidationError('The `setTime` must be a boolean.', 'setTime');
+		}
+		this._set_time = params['setTime'];
+	}
+	if ('ledDuration' in params) {
+		let v = params['ledDuration'];
+		if (typeof (v) !== 'number' || v % 1 !== 0 || v < 0 || v > 10) {
+			return new EnvsensorErrors.ValidationError('The `ledDuration` must be an integer in the range of 0 to 10.', 'ledDuration');
+		}
+		this._led_duration = v;
+	}
+	if ('onprogress' in params) {
+		if (typeof (params['onprogress']) !== 'function') {
+			return new EnvsensorErrors.ValidationError('The `onprogress` must be a function.', 'onprogress');
+		}
+		this._onprogress = params['onprogress'];
+	}
+	if ('signal' in params) {
+		let err = EnvsensorAbort.check(params['signal']);
+		if (err) {
+			return err;
+		}
+		this._signal = params['signal'];
+	}
+	return null;
+};
+
+// "F0:D2:F1:02:03:04" and "f0d2f1020304" are regarded as the same
+EnvsensorProvisioner.prototype._normalizeAddress = function (address) {
+	return (address || '').replace(/[:-]/g, '').toLowerCase();
+};
+
+/* ------------------------------------------------------------------
+* Method: run()
+* - Discovers the devices, then provisions them one by one.
+* - The report below is passed to the `resolve()` function:
+*   {
+*     succeeded: 2,
+*     failed: 1,
+*     devices: [{address, id, success, step, error, written, unchanged}, ...]
+*   }
+* ---------------------------------------------------------------- */
+EnvsensorProvisioner.prototype.run = function () {
+	let promise = new Promise((resolve, reject) => {
+		let report = { succeeded: 0, failed: 0, devices: [] };
+		let targets = null;
+		let provisionTarget = (i) => {
+			if (i >= targets.length) {
+				return Promise.resolve();
+			}
+			EnvsensorAbort.throwIfAborted(this._signal);
+			return this._provision(targets[i]).then((result) => {
+				report[result['success'] ? 'succeeded' : 'failed']++;
+				report['devices'].push(result);
+				// An exception thrown by the callback does not stop provisioning,
+				// it is emitted as the `error` event of the `Envsensor` instead
+				if (this._onprogress) {
+					try {
+						this._onprogress(result);
+					} catch (error) {
+						if (this._envsensor.listenerCount('error') > 0) {
+							this._envsensor.emit('error', error);
+						}
+					}
+				}
+				return provisionTarget(i + 1);
+			});
+		};
+
+		this._envsensor.discover({
+			duration: this._duration,
+			idFilter: this._id_filter,
+			addresses: this._devices ? this._devices.map((d) => {
+				return d['address'];
+			}) : null,
+			signal: this._signal
+		}).then((device_list) => {
+			targets = this._getTargets(device_list);
+			return provisionTarget(0);
+		}).then(() => {
+			resolve(report);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+// Returns the list of `{address, device, profile}` to be provisioned. The
+// `device` is `null` if the device in the `devices` was not discovered.
+EnvsensorProvisioner.prototype._getTargets = function (device_list) {
+	if (!this._devices) {
+		return device_list.map((device) => {
+			return { address: device.address, device: device, profile: this._profile };
+		});
+	}
+	let found = {};
+	device_list.forEach((device) => {
+		found[this._normalizeAddress(device.id)] = device;
+		found[this._normalizeAddress(device.address)] = device;
+	});
+	return this._devices.map((d) => {
+		return {
+			address: d['address'],
+			device: found[this._normalizeAddress(d['address'])] || null,
+			profile: d['profile'] ? this._mergeProfile(this._profile, d['profile']) : this._profile
+		};
+	});
+};
+
+// Returns a new profile in which the `override` is deeply merged into the `base`
+EnvsensorProvisioner.prototype._mergeProfile = function (base, override) {
+	let merged = {};
+	Object.keys(base).forEach((k) => {
+		merged[k] = base[k];
+	});
+	Object.keys(override).forEach((k) => {
+		let b = merged[k];
+		let o = override[k];
+		if (b && typeof (b) === 'object' && o && typeof (o) === 'object') {
+			merged[k] = this._mergeProfile(b, o);
+		} else {
+			merged[k] = o;
+		}
+	});
+	return merged;
+};
+
+// Provisions a device, and passes the result to the `resolve()` function.
+// This is never rejected, the failure is reported in the result instead.
+EnvsensorProvisioner.prototype._provision = function (target) {
+	let device = target['device'];
+	let result = {
+		address: target['address'],
+		id: device ? device.id : null,
+		success: false,
+		step: null,
+		error: null,
+		written: [],
+		unchanged: []
+	};
+	if (!device) {
+		result['step'] = 'discover';
+		result['error'] = new EnvsensorErrors.EnvsensorError('The device was not found.', 'ERR_NOT_FOUND');
+		return Promise.resolve(result);
+	}
+
+	let promise = new Promise((resolve) => {
+		let run = (step, func) => {
+			result['step'] = step;
+			return func();
+		};
+		run('connect', () => {
+			return device.connect({ signal: this._signal });
+		}).then(() => {
+			return run('configure', () => {
+				return device.importConfiguration(target['profile']);
+			});
+		}).then((res) => {
+			result['written'] = res['written'];
+			result['unchanged'] = res['unchanged'];
+			return run('verify', () => {
+				return device.verifyConfiguration(target['profile']);
+			});
+		}).then(() => {
+			if (!this._set_time) {
+				return;
+			}
+			return run('setTime', () => {
+				return device.setTime();
+			});
+		}).then(() => {
+			if (this._led_duration === 0) {
+				return;
+			}
+			return run('turnOnLed', () => {
+				return device.turnOnLed({ duration: this._led_duration });
+			});
+		}).then(() => {
+			result['success'] = true;
+			result['step'] = null;
+		}).catch((error) => {
+			result['error'] = error;
+		}).then(() => {
+			if (!device.isConnected()) {
+				return;
+			}
+			return device.disconnect().catch(() => { });
+		}).then(() => {
+			resolve(result);
+		});
+	});
+	return promise;
+};
+
+module.exports = EnvsensorProvisioner;
@@ -0,0 +1,194 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-proximity.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const ValidationError = require('./envsensor-errors.js').ValidationError;
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorProximity([params])
+* - Estimates the distance to each device from the RSSI of the
+*   advertising packets.
+* - params:
+*     filter            : "kalman" (default) or "ema". The RSSI is
+*                         smoothed by this filter for each device.
+*     alpha             : Smoothing factor of the "ema" (0 < alpha <= 1).
+*     processNoise      : Process noise of the "kalman".
+*     measurementNoise  : Measurement noise of the "kalman".
+*     measuredPower     : RSSI at 1 meter (dBm). The `txPower` of the
+*                         format (A) is used instead if it is received
+*                         from the device.
+*     pathLossExponent  : Path loss exponent of the environment
+*                         (2.0 in free space, 2.5 - 4.0 indoors).
+*     immediateDistance : Upper limit of the "immediate" (meters).
+*     nearDistance      : Upper limit of the "near" (meters).
+*     maxAge            : The proximity is "unknown" if no packet has
+*                         been received for this period (msec).
+* ---------------------------------------------------------------- */
+const EnvsensorProximity = function (params) {
+	this._params = {
+		filter: 'kalman',
+		alpha: 0.3,
+		processNoise: 0.1,
+		measurementNoise: 4,
+		measuredPower: -59,
+		pathLossExponent: 2.0,
+		immediateDistance: 0.5,
+		nearDistance: 4.0,
+		maxAge: 10000
+	};
+	let err = this._checkParams(params);
+	if (err) {
+		throw err;
+	}
+	this._devices = {};
+};
+
+EnvsensorProximity.prototype._checkParams = function (params) {
+	if (params === undefined || params === null) {
+		return null;
+	}
+	if (typeof (params) !== 'object') {
+		return new ValidationError('The `proximity` must be a hash object.', 'proximity');
+	}
+	let p = {};
+	Object.keys(this._params).forEach((k) => {
+		p[k] = (k in params) ? params[k] : this._params[k];
+	});
+	if (p['filter'] !== 'kalman' && p['filter'] !== 'ema') {
+		return new ValidationError('The `filter` must be "kalman" or "ema".', 'filter');
+	}
+	let checks = [
+		['alpha', p['alpha'] > 0 && p['alpha'] <= 1, 'greater than 0 and less than or equal to 1'],
+		['processNoise', p['processNoise'] > 0, 'greater than 0'],
+		['measurementNoise', p['measurementNoise'] > 0, 'greater than 0'],
+		['measuredPower', p['measuredPower'] >= -127 && p['measuredPower'] <= 20, 'in the range of -127 to 20'],
+		['pathLossExponent', p['pathLossExponent'] > 0, 'greater than 0'],
+		['immediateDistance', p['immediateDistance'] > 0, 'greater than 0'],
+		['nearDistance', p['nearDistance'] > p['immediateDistance'], 'greater than the `immediateDistance`'],
+		['maxAge', p['maxAge'] > 0, 'greater than 0']
+	];
+	for (let i = 0; i < checks.length; i++) {
+		let k = checks[i][0];
+		if (typeof (p[k]) !== 'number' || !checks[i][1]) {
+			return new ValidationError('The `' + k + '` must be a number ' + checks[i][2] + '.', k);
+		}
+	}
+	this._params = p;
+	return null;
+};
+
+/* ------------------------------------------------------------------
+* Method: update(ad, time)
+* - ad: The advertisement data parsed by the `EnvsensorAdvertising`.
+* - time: `Date` object of the reception time.
+*
+* - Returns the estimate of the device (see the `get()` method).
+* ---------------------------------------------------------------- */
+EnvsensorProximity.prototype.update = function (ad, time) {
+	let dev = this._devices[ad['id']];
+	if (!dev) {
+		dev = {
+			id: ad['id'],
+			address: ad['address'],
+			rssi: null,
+			smoothed: null,
+			variance: null,
+			txPower: null,
+			time: null
+		};
+		this._devices[ad['id']] = dev;
+	}
+	let data = ad['data'] || {};
+	if (ad['companyId'] === '004c' && typeof (data['txPower']) === 'number') {
+		// The `txPower` is a signed 8-bit integer
+		dev['txPower'] = (data['txPower'] > 127) ? data['txPower'] - 256 : data['txPower'];
+	}
+	let rssi = ad['rssi'];
+	if (typeof (rssi) === 'number' && rssi < 0) {
+		if (dev['time'] && time.getTime() - dev['time'].getTime() > this._params['maxAge']) {
+			// Start over as the device may have moved
+			dev['smoothed'] = null;
+		}
+		this._smooth(dev, rssi);
+		dev['rssi'] = rssi;
+		dev['time'] = time;
+	}
+	return this._createEstimate(dev, time);
+};
+
+EnvsensorProximity.prototype._smooth = function (dev, rssi) {
+	let p = this._params;
+	if (dev['smoothed'] === null) {
+		dev['smoothed'] = rssi;
+		dev['variance'] = p['measurementNoise'];
+		return;
+	}
+	if (p['filter'] === 'ema') {
+		dev['smoothed'] += p['alpha'] * (rssi - dev['smoothed']);
+		return;
+	}
+	// One-dimensional Kalman filter with a constant model
+	let variance = dev['variance'] + p['processNoise'];
+	let gain = variance / (variance + p['measurementNoise']);
+	dev['smoothed'] += gain * (rssi - dev['smoothed']);
+	dev['variance'] = (1 - gain) * variance;
+};
+
+EnvsensorProximity.prototype._createEstimate = function (dev, now) {
+	let measured_power = (dev['txPower'] !== null) ? dev['txPower'] : this._params['measuredPower'];
+	let stale = !dev['time'] || now.getTime() - dev['time'].getTime() > this._params['maxAge'];
+	let distance = null;
+	let proximity = 'unknown';
+	if (!stale) {
+		distance = Math.pow(10, (measured_power - dev['smoothed']) / (10 * this._params['pathLossExponent']));
+		if (distance <= this._params['immediateDistance']) {
+			proximity = 'immediate';
+		} else if (distance <= this._params['nearDistance']) {
+			proximity = 'near';
+		} else {
+			proximity = 'far';
+		}
+		distance = Math.round(distance * 100) / 100;
+	}
+	return {
+		id: dev['id'],
+		address: dev['address'],
+		rssi: dev['rssi'],
+		smoothedRssi: (dev['smoothed'] === null) ? null : Math.round(dev['smoothed'] * 10) / 10,
+		measuredPower: measured_power,
+		distance: distance,
+		proximity: proximity,
+		lastSeen: dev['time']
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: get([id[, now]])
+* - Returns the estimate of the device specified by the `id`, or the
+*   list of the estimates of all the devices if the `id` is omitted.
+*   `null` is returned if the device has not been seen.
+* - An estimate is a hash object containing the `id`, the `address`,
+*   the `rssi` (latest), the `smoothedRssi`, the `measuredPower`, the
+*   `distance` (meters, or `null` if unknown), the `proximity`
+*   ("immediate", "near", "far", or "unknown") and the `lastSeen`.
+* ---------------------------------------------------------------- */
+EnvsensorProximity.prototype.get = function (id, now) {
+	now = now || new Date();
+	if (id !== undefined && id !== null) {
+		let dev = this._devices[id];
+		return dev ? this._createEstimate(dev, now) : null;
+	}
+	return Object.keys(this._devices).map((id) => {
+		return this._createEstimate(this._devices[id], now);
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: reset()
+* ---------------------------------------------------------------- */
+EnvsensorProximity.prototype.reset = function () {
+	this._devices = {};
+};
+
+module.exports = EnvsensorProximity;
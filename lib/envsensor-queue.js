@@ -0,0 +1,117 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-queue.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorQueue()
+* - A FIFO queue with priorities which runs the tasks one by one.
+* - A task which has been overtaken by `MAX_SKIPS` tasks of higher
+*   priorities is run next, so that the tasks of low priorities are
+*   never starved by a stream of the tasks of higher priorities.
+* ---------------------------------------------------------------- */
+const EnvsensorQueue = function () {
+	this._tasks = [];
+	this._running = false;
+};
+
+EnvsensorQueue.PRIORITY_HIGH = 0;
+EnvsensorQueue.PRIORITY_NORMAL = 1;
+EnvsensorQueue.PRIORITY_LOW = 2;
+EnvsensorQueue.MAX_SKIPS = 8;
+
+/* ------------------------------------------------------------------
+* Method: push(task[, priority])
+* - task     : A function which returns a `Promise` object.
+* - priority : `EnvsensorQueue.PRIORITY_HIGH`, `PRIORITY_NORMAL` (default),
+*              or `PRIORITY_LOW`. Tasks with the same priority are run
+*              in the order they were pushed.
+*
+* - Returns a `Promise` object settled with the result of the task.
+* ---------------------------------------------------------------- */
+EnvsensorQueue.prototype.push = function (task, priority) {
+	if (typeof (priority) !== 'number') {
+		priority = EnvsensorQueue.PRIORITY_NORMAL;
+	}
+	let promise = new Promise((resolve, reject) => {
+		let item = {
+			task: task,
+			priority: priority,
+			skips: 0,
+			resolve: resolve,
+			reject: reject
+		};
+		// Insert the item after the last item whose priority is the same or higher
+		let idx = this._tasks.length;
+		while (idx > 0 && this._tasks[idx - 1]['priority'] > priority) {
+			idx--;
+		}
+		this._tasks.splice(idx, 0, item);
+		this._next();
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: clear(error)
+* - Rejects all the pending tasks with the `error`. The running task
+*   is not affected.
+* ---------------------------------------------------------------- */
+EnvsensorQueue.prototype.clear = function (error) {
+	let tasks = this._tasks;
+	this._tasks = [];
+	tasks.forEach((item) => {
+		item.reject(error);
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: getLength()
+* - Returns the number of the pending tasks.
+* ---------------------------------------------------------------- */
+EnvsensorQueue.prototype.getLength = function () {
+	return this._tasks.length;
+};
+
+EnvsensorQueue.prototype._next = function () {
+	if (this._running) {
+		return;
+	}
+	if (this._tasks.length === 0) {
+		return;
+	}
+	let idx = 0;
+	for (let i = 0; i < this._tasks.length; i++) {
+		if (this._tasks[i]['skips'] >= EnvsensorQueue.MAX_SKIPS) {
+			idx = i;
+			break;
+		}
+	}
+	let item = this._tasks.splice(idx, 1)[0];
+	this._tasks.forEach((t) => {
+		if (t['priority'] > item['priority']) {
+			t['skips']++;
+		}
+	});
+	this._running = true;
+	let finish = () => {
+		this._running = false;
+		this._next();
+	};
+	let p = null;
+	try {
+		p = Promise.resolve(item.task());
+	} catch (error) {
+		p = Promise.reject(error);
+	}
+	p.then((res) => {
+		item.resolve(res);
+		finish();
+	}, (error) => {
+		item.reject(error);
+		finish();
+	});
+};
+
+module.exports = EnvsensorQueue;
@@ -0,0 +1,80 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-reading-cache.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorReadingCache()
+* - Keeps the latest sensor readings advertised by each device. Only
+*   the formats (B), (D) and (E) carry the readings, so the packets of
+*   the formats (A) and (C) are not cached.
+* ---------------------------------------------------------------- */
+const EnvsensorReadingCache = function () {
+	this._devices = {};
+};
+
+/* ------------------------------------------------------------------
+* Method: update(ad, time)
+* - ad: The advertisement data parsed by the `EnvsensorAdvertising`.
+* - time: `Date` object of the reception time.
+* ---------------------------------------------------------------- */
+EnvsensorReadingCache.prototype.update = function (ad, time) {
+	let format = this._getFormat(ad);
+	if (!format) {
+		return;
+	}
+	this._devices[ad['id']] = {
+		id: ad['id'],
+		address: ad['address'],
+		localName: ad['localName'],
+		format: format,
+		rssi: ad['rssi'],
+		received: time,
+		data: ad['data']
+	};
+};
+
+// Returns "B", "D" or "E", or `null` for the other formats
+EnvsensorReadingCache.prototype._getFormat = function (ad) {
+	let data = ad['data'];
+	if (!data || !('temperature' in data)) {
+		return null;
+	}
+	if (ad['localName'] === 'IM') {
+		return 'D';
+	} else if (ad['localName'] === 'EP') {
+		return 'E';
+	} else if (ad['localName'] === 'Env' && ad['companyId'] === '02d5') {
+		return 'B';
+	}
+	return null;
+};
+
+/* ------------------------------------------------------------------
+* Method: get(id)
+* - Returns the latest reading of the device specified by the `id`, or
+*   `null` if no reading has been received.
+* ---------------------------------------------------------------- */
+EnvsensorReadingCache.prototype.get = function (id) {
+	return this._devices[id] || null;
+};
+
+/* ------------------------------------------------------------------
+* Method: getAll()
+* - Returns the list of the latest readings of all the devices.
+* ---------------------------------------------------------------- */
+EnvsensorReadingCache.prototype.getAll = function () {
+	return Object.keys(this._devices).map((id) => {
+		return this._devices[id];
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: reset()
+* ---------------------------------------------------------------- */
+EnvsensorReadingCache.prototype.reset = function () {
+	this._devices = {};
+};
+
+module.exports = EnvsensorReadingCache;
@@ -0,0 +1,127 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-sequence-tracker.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorSequenceTracker()
+* - Tracks the `sequenceNumber` of the Sensor ADV formats (D) and (E)
+*   for each device, in order to detect the duplicate packets and the
+*   lost packets. The `sequenceNumber` wraps from 255 to 0.
+* - The `sequenceNumber` is incremented at most once a second, as the
+*   measurement interval is 1 sec or longer. A jump which can not be
+*   explained by the time passed since the last packet means that the
+*   device has restarted (e.g., the battery was replaced). It is counted
+*   as a reset, not as lost measurements.
+* ---------------------------------------------------------------- */
+const EnvsensorSequenceTracker = function () {
+	this._devices = {};
+};
+
+/* ------------------------------------------------------------------
+* Method: check(ad[, time])
+* - ad  : The advertisement data parsed by the `EnvsensorAdvertising`.
+* - time: `Date` object when the `ad` was received. If omitted, only a
+*         jump backwards (by less than 128) is regarded as a reset.
+*
+* - Returns `true` if the `ad` carries a new measurement, or `false` if
+*   it is a duplicate of the last one. The advertisement data without
+*   the `sequenceNumber` is always regarded as new.
+* ---------------------------------------------------------------- */
+EnvsensorSequenceTracker.prototype.check = function (ad, time) {
+	let seq = ad['data'] ? ad['data']['sequenceNumber'] : undefined;
+	if (typeof (seq) !== 'number') {
+		return true;
+	}
+	let dev = this._devices[ad['id']];
+	if (!dev) {
+		dev = {
+			id: ad['id'],
+			address: ad['address'],
+			received: 0,
+			duplicates: 0,
+			lost: 0,
+			resets: 0,
+			lastSequenceNumber: null,
+			lastTime: null
+		};
+		this._devices[ad['id']] = dev;
+	}
+	let now = (time instanceof Date) ? time.getTime() : null;
+	if (dev['lastSequenceNumber'] === null) {
+		dev['received']++;
+		dev['lastSequenceNumber'] = seq;
+		dev['lastTime'] = now;
+		return true;
+	}
+	let gap = (seq - dev['lastSequenceNumber'] + 256) % 256;
+	if (gap === 0) {
+		dev['duplicates']++;
+		return false;
+	}
+	let max_gap = 127;
+	if (now !== null && dev['lastTime'] !== null) {
+		max_gap = Math.floor(Math.max(now - dev['lastTime'], 0) / 1000) + 1;
+	}
+	dev['received']++;
+	if (gap > max_gap) {
+		dev['resets']++;
+	} else {
+		dev['lost'] += gap - 1;
+	}
+	dev['lastSequenceNumber'] = seq;
+	dev['lastTime'] = now;
+	return true;
+};
+
+/* ------------------------------------------------------------------
+* Method: restart()
+* - Forgets the last `sequenceNumber` of every device while keeping the
+*   statistics, so that the packets advertised while not scanning are
+*   not counted as lost.
+* ---------------------------------------------------------------- */
+EnvsensorSequenceTracker.prototype.restart = function () {
+	Object.keys(this._devices).forEach((id) => {
+		this._devices[id]['lastSequenceNumber'] = null;
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: getStats([id])
+* - Returns the statistics of the device specified by the `id`, or the
+*   list of the statistics of all the devices if the `id` is omitted.
+*   `null` is returned if the device has not been seen.
+* ---------------------------------------------------------------- */
+EnvsensorSequenceTracker.prototype.getStats = function (id) {
+	if (id !== undefined) {
+		let dev = this._devices[id];
+		return dev ? this._createStats(dev) : null;
+	}
+	return Object.keys(this._devices).map((id) => {
+		return this._createStats(this._devices[id]);
+	});
+};
+
+EnvsensorSequenceTracker.prototype._createStats = function (dev) {
+	let expected = dev['received'] + dev['lost'];
+	return {
+		id: dev['id'],
+		address: dev['address'],
+		received: dev['received'],
+		duplicates: dev['duplicates'],
+		lost: dev['lost'],
+		lossRate: (expected > 0) ? dev['lost'] / expected : 0,
+		resets: dev['resets'],
+		lastSequenceNumber: dev['lastSequenceNumber']
+	};
+};
+
+/* ------------------------------------------------------------------
+* Method: reset()
+* ---------------------------------------------------------------- */
+EnvsensorSequenceTracker.prototype.reset = function () {
+	this._devices = {};
+};
+
+module.exports = EnvsensorSequenceTracker;
@@ -0,0 +1,841 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-simulator-peripheral.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+const EnvsensorChars = require('./envsensor-chars.js');
+const EnvsensorAdvertising = require('./envsensor-advertising.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorSimulatorCharacteristic(peripheral, uuid, properties)
+* - A fake `Characteristic` object of the noble
+* ---------------------------------------------------------------- */
+const EnvsensorSimulatorCharacteristic = function (peripheral, uuid, properties) {
+	EventEmitter.call(this);
+	this.uuid = uuid;
+	this.name = null;
+	this.type = null;
+	this.properties = properties;
+
+	// Private
+	this._peripheral = peripheral;
+	this._short_uuid = peripheral._shortUuid(uuid);
+	this._subscribed = false;
+};
+util.inherits(EnvsensorSimulatorCharacteristic, EventEmitter);
+
+EnvsensorSimulatorCharacteristic.prototype.read = function (callback) {
+	this._peripheral._gatt(() => {
+		this._peripheral._checkFault(this._short_uuid, 'read');
+		return this._peripheral._readChar(this._short_uuid);
+	}, callback);
+};
+
+EnvsensorSimulatorCharacteristic.prototype.write = function (buf, without_response, callback) {
+	this._peripheral._gatt(() => {
+		this._peripheral._checkFault(this._short_uuid, 'write');
+		let filter = this._peripheral._write_filters[this._short_uuid];
+		this._peripheral._writeChar(this._short_uuid, filter ? filter(Buffer.from(buf)) : buf);
+	}, callback);
+};
+
+EnvsensorSimulatorCharacteristic.prototype.subscribe = function (callback) {
+	this._peripheral._gatt(() => {
+		this._peripheral._checkFault(this._short_uuid, 'subscribe');
+		if (this.properties.indexOf('notify') < 0) {
+			throw new Error('The characteristic does not support `Notify`.');
+		}
+		this._subscribed = true;
+	}, callback);
+};
+
+EnvsensorSimulatorCharacteristic.prototype.unsubscribe = function (callback) {
+	this._peripheral._gatt(() => {
+		this._subscribed = false;
+	}, callback);
+};
+
+EnvsensorSimulatorCharacteristic.prototype._notify = function (buf) {
+	if (this._subscribed && this._peripheral.state === 'connected') {
+		this.emit('data', buf, true);
+	}
+};
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorSimulatorPeripheral(noble, params)
+* - noble : The `EnvsensorSimulator` object
+* - params:
+*     address             : Address of the device (e.g., "de:d7:72:3b:71:99")
+*     rssi                : RSSI reported in the advertising packets. The default is -50.
+*     uniqueId            : Unique ID in the ADV formats (B) and (C). 8 hex characters.
+*     beaconMode          : Initial beacon mode. The default is 8.
+*     measurementInterval : Initial measurement interval (sec). The default is 300.
+*     recordingStartTime  : If specified, the device starts in the recording mode as if
+*                           the time had been set at this UNIX time (sec).
+*     readings            : Initial sensor readings. See `setReadings()`.
+*     responseDelay       : Delay of every GATT response (msec). The default is 5.
+* ---------------------------------------------------------------- */
+const EnvsensorSimulatorPeripheral = function (noble, params) {
+	EventEmitter.call(this);
+	let p = params || {};
+	let address = (typeof (p['address']) === 'string') ? p['address'].toLowerCase() : this._createRandomAddress();
+	if (!/^([a-f\d]{2}:){5}[a-f\d]{2}$/.test(address)) {
+		throw new Error('The `address` is invalid.');
+	}
+
+	// Public properties (compatible with the `Peripheral` object of the noble)
+	this.id = address.replace(/:/g, '');
+	this.uuid = this.id;
+	this.address = address;
+	this.addressType = 'random';
+	this.connectable = true;
+	this.rssi = ('rssi' in p) ? p['rssi'] : -50;
+	this.state = 'disconnected';
+	this.advertisement = {
+		localName: undefined,
+		txPowerLevel: undefined,
+		manufacturerData: undefined,
+		serviceData: [],
+		serviceUuids: []
+	};
+	this.services = null;
+
+	// Sensor readings which the simulator measures
+	this.readings = {
+		temperature: 25.0,
+		humidity: 50.0,
+		ambientLight: 100,
+		uvIndex: 0.02,
+		pressure: 1013.0,
+		soundNoise: 35.0,
+		accelerationX: 0,
+		accelerationY: 0,
+		accelerationZ: 0,
+		batteryVoltage: 3000
+	};
+
+	// Function which returns the readings recorded at the specified UNIX time.
+	// By default, the current readings are recorded.
+	this.recordGenerator = null;
+
+	// Private properties
+	this._noble = noble;
+	this._unique_id = (typeof (p['uniqueId']) === 'string') ? p['uniqueId'] : this.id.slice(-8);
+	this._response_delay = ('responseDelay' in p) ? p['responseDelay'] : 5;
+	this._boot_time = Date.now();
+	this._clock_offset = null; // UNIX time - local time (sec). `null` means that the time is not set.
+	this._record_start = 0; // UNIX time when the recording was started (sec)
+	this._request_page = { page: 0, row: 0 };
+	this._response_flag = { updateFlag: 0x00, unixTime: 0 };
+	this._response_rows = [];
+	this._event_flag = Buffer.alloc(9);
+	this._error_status = Buffer.alloc(4);
+	this._adv_toggle = false;
+	this._measure_timer = null;
+	this._values = {};
+	this._chars = {};
+	this._faults = [];
+	this._write_filters = {};
+	this._initValues(p);
+	this._initGatt();
+	if (p['readings']) {
+		this.setReadings(p['readings']);
+	}
+	this._updateAdvertisement();
+};
+util.inherits(EnvsensorSimulatorPeripheral, EventEmitter);
+
+EnvsensorSimulatorPeripheral.prototype._BASE_UUID_RE = /^0c4c([a-f\d]{4})770046f4aa96d5e974e32a54$/;
+EnvsensorSimulatorPeripheral.prototype._RECORDING_MODES = [0, 1, 7, 8];
+EnvsensorSimulatorPeripheral.prototype._PAGE_NUM = 2048;
+EnvsensorSimulatorPeripheral.prototype._ROW_NUM = 13;
+
+EnvsensorSimulatorPeripheral.prototype._createRandomAddress = function () {
+	let list = [];
+	for (let i = 0; i < 6; i++) {
+		let n = Math.floor(Math.random() * 256);
+		if (i === 0) {
+			n = n | 0b11000000; // Random static address
+		}
+		list.push(('0' + n.toString(16)).slice(-2));
+	}
+	return list.join(':');
+};
+
+EnvsensorSimulatorPeripheral.prototype._fullUuid = function (short_uuid) {
+	if (/^2a/.test(short_uuid) || /^18/.test(short_uuid)) {
+		return short_uuid;
+	}
+	return '0c4c' + short_uuid + '770046f4aa96d5e974e32a54';
+};
+
+EnvsensorSimulatorPeripheral.prototype._shortUuid = function (uuid) {
+	let m = uuid.match(this._BASE_UUID_RE);
+	return m ? m[1] : uuid;
+};
+
+EnvsensorSimulatorPeripheral.prototype._initValues = function (p) {
+	let v = this._values;
+
+	// Setting Service
+	let interval = ('measurementInterval' in p) ? p['measurementInterval'] : 300;
+	v['3011'] = this._createBuffer('3011', { measurementInterval: interval });
+	Object.keys(EnvsensorChars._THRESHOLD_RANGES).forEach((char_uuid) => {
+		let ranges = EnvsensorChars._THRESHOLD_RANGES[char_uuid];
+		let conf = { measurements: 1, movingAverage: 1 };
+		Object.keys(ranges).forEach((k) => {
+			let threshold = (k === 'upperLimit') ? ranges[k]['max'] : ranges[k]['min'];
+			conf[k] = { enabled: false, threshold: threshold };
+		});
+		v[char_uuid] = this._createBuffer(char_uuid, conf);
+	});
+
+	// Parameter Service
+	v['3041'] = this._createBuffer('3041', { uuid: '0C4C3000-7700-46F4-AA96D5E974E32A54', major: 0, minor: 0 });
+	v['3042'] = this._createBuffer('3042', {
+		indInterval: 1285,
+		nonconIndInterval: 100,
+		transmissionPeriod: 10,
+		silentPeriod: 50,
+		beaconMode: ('beaconMode' in p) ? p['beaconMode'] : 8,
+		txPowerLevel: 0
+	});
+
+	// DFU Service
+	v['3053'] = Buffer.from([0x01, 0x00]);
+
+	// Generic Access Service
+	v['2a01'] = Buffer.from([0x00, 0x02]);
+	v['2a04'] = Buffer.from([0x50, 0x00, 0xa0, 0x00, 0x00, 0x00, 0xe8, 0x03]);
+
+	// Device Information Service
+	v['2a24'] = Buffer.from('2JCIE-BL01', 'utf8');
+	v['2a25'] = Buffer.from(('SIM' + this._unique_id + '0000000').slice(0, 10).toUpperCase(), 'utf8');
+	v['2a26'] = Buffer.from('01.09', 'utf8');
+	v['2a27'] = Buffer.from('01.00', 'utf8');
+	v['2a29'] = Buffer.from('OMRON', 'utf8');
+
+	if (typeof (p['recordingStartTime']) === 'number') {
+		this._clock_offset = 0;
+		this._record_start = p['recordingStartTime'];
+	}
+};
+
+EnvsensorSimulatorPeripheral.prototype._createBuffer = function (char_uuid, data) {
+	let res = EnvsensorChars.createWriteBuffer(char_uuid, data);
+	if (res['error']) {
+		throw res['error'];
+	}
+	return res['buffer'];
+};
+
+EnvsensorSimulatorPeripheral.prototype._initGatt = function () {
+	let services = {
+		'1800': { '2a00': ['read'], '2a01': ['read'], '2a04': ['read'] },
+		'180a': { '2a24': ['read'], '2a25': ['read'], '2a26': ['read'], '2a27': ['read'], '2a29': ['read'] },
+		'3000': {
+			'3001': ['read', 'notify'], '3002': ['read'], '3003': ['read', 'write'],
+			'3004': ['read'], '3005': ['read'], '3006': ['read', 'notify']
+		},
+		'3010': {
+			'3011': ['read', 'write'], '3013': ['read', 'write'], '3014': ['read', 'write'],
+			'3015': ['read', 'write'], '3016': ['read', 'write'], '3017': ['read', 'write'],
+			'3018': ['read', 'write'], '3019': ['read', 'write'], '301a': ['read', 'write']
+		},
+		'3030': { '3031': ['read', 'write'], '3032': ['write'], '3033': ['read', 'write'], '3034': ['write'] },
+		'3040': { '3041': ['read', 'write'], '3042': ['read', 'write'] },
+		'3050': { '3053': ['read'] }
+	};
+	this._service_list = [];
+	this._char_list = [];
+	Object.keys(services).forEach((service_uuid) => {
+		let service = {
+			uuid: this._fullUuid(service_uuid),
+			name: null,
+			type: null,
+			includedServiceUuids: null,
+			characteristics: []
+		};
+		Object.keys(services[service_uuid]).forEach((char_uuid) => {
+			let char = new EnvsensorSimulatorCharacteristic(this, this._fullUuid(char_uuid), services[service_uuid][char_uuid]);
+			service.characteristics.push(char);
+			this._chars[char_uuid] = char;
+			this._char_list.push(char);
+		});
+		this._service_list.push(service);
+	});
+};
+
+/* ------------------------------------------------------------------
+* Methods compatible with the `Peripheral` object of the noble
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.connect = function (callback) {
+	if (this.state === 'connected') {
+		this._callback(callback, new Error('The device has already been connected.'));
+		return;
+	}
+	this.state = 'connecting';
+	setTimeout(() => {
+		if (this.state !== 'connecting') {
+			this._callback(callback, new Error('The connection was canceled.'));
+			return;
+		}
+		this.state = 'connected';
+		this._startMeasurementTimer();
+		this.emit('connect');
+		this._callback(callback, null);
+	}, this._response_delay);
+};
+
+EnvsensorSimulatorPeripheral.prototype.cancelConnect = function () {
+	if (this.state === 'connecting') {
+		this.state = 'disconnected';
+	}
+};
+
+EnvsensorSimulatorPeripheral.prototype.disconnect = function (callback) {
+	if (this.state === 'disconnected') {
+		this._callback(callback, null);
+		return;
+	}
+	this.state = 'disconnecting';
+	setTimeout(() => {
+		this._dropConnection();
+		this._callback(callback, null);
+	}, this._response_delay);
+};
+
+EnvsensorSimulatorPeripheral.prototype.discoverAllServicesAndCharacteristics = function (callback) {
+	this._gatt(() => {
+		this.services = this._service_list;
+		return [this._service_list, this._char_list];
+	}, (error, res) => {
+		if (error) {
+			this._callback(callback, error);
+		} else {
+			this._callback(callback, null, res[0], res[1]);
+		}
+	});
+};
+
+EnvsensorSimulatorPeripheral.prototype.updateRssi = function (callback) {
+	this._callback(callback, null, this.rssi);
+};
+
+/* ------------------------------------------------------------------
+* Method: setReadings(readings)
+* - readings: {
+*     temperature, humidity, ambientLight, uvIndex, pressure, soundNoise,
+*     accelerationX, accelerationY, accelerationZ, batteryVoltage
+*   }
+*
+* - Only the specified properties are updated.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.setReadings = function (readings) {
+	if (!readings || typeof (readings) !== 'object') {
+		throw new Error('The `readings` must be an object.');
+	}
+	let updated = {};
+	Object.keys(this.readings).forEach((k) => {
+		let v = (k in readings) ? readings[k] : this.readings[k];
+		if (typeof (v) !== 'number') {
+			throw new Error('The `' + k + '` must be a number.');
+		}
+		updated[k] = v;
+	});
+	// The readings which can not be advertised are rejected
+	let previous = this.readings;
+	this.readings = updated;
+	try {
+		this._updateAdvertisement();
+	} catch (error) {
+		this.readings = previous;
+		throw error;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: setEventFlag(flags)
+* - flags: The same structure as the data obtained from the
+*          `getEventFlag()` method. Only the specified flags are updated.
+*
+* - If the event flag notifications are subscribed, a notification is sent.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.setEventFlag = function (flags) {
+	if (!flags || typeof (flags) !== 'object') {
+		throw new Error('The `flags` must be an object.');
+	}
+	let current = EnvsensorChars.parseResponse('3006', this._event_flag);
+	Object.keys(current).forEach((pname) => {
+		if (flags[pname] && typeof (flags[pname]) === 'object') {
+			Object.keys(current[pname]).forEach((k) => {
+				if (k in flags[pname]) {
+					current[pname][k] = flags[pname][k] ? true : false;
+				}
+			});
+		}
+	});
+	this._event_flag = EnvsensorAdvertising._createEventFlag(current);
+	this._updateAdvertisement();
+	this._chars['3006']._notify(this._event_flag);
+};
+
+/* ------------------------------------------------------------------
+* Method: simulateDisconnect()
+* - Drops the connection as if the device went out of range.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.simulateDisconnect = function () {
+	if (this.state === 'connected' || this.state === 'connecting') {
+		this._dropConnection();
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: notifySensorData()
+* - Sends the notification of the latest sensor data (0x3001) as if a
+*   measurement was made. Nothing is sent if it is not subscribed.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.notifySensorData = function () {
+	this._chars['3001']._notify(this._readChar('3001'));
+};
+
+/* ------------------------------------------------------------------
+* Method: isSubscribed(uuid)
+* - uuid: Short UUID of the characteristic (e.g., "3001")
+*
+* - Returns whether the notifications of the characteristic are subscribed.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.isSubscribed = function (uuid) {
+	let char = this._chars[uuid];
+	return (char && char._subscribed) ? true : false;
+};
+
+/* ------------------------------------------------------------------
+* Method: injectFault(params)
+* - Makes the following GATT operations fail.
+* - params:
+*     uuid      : Short UUID of the characteristic (e.g., "3042")
+*     operation : "read", "write" or "subscribe"
+*     count     : Number of the operations which fail. The default is 1.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.injectFault = function (params) {
+	let p = params || {};
+	if (!this._chars[p['uuid']]) {
+		throw new Error('The `uuid` is invalid.');
+	}
+	if (['read', 'write', 'subscribe'].indexOf(p['operation']) < 0) {
+		throw new Error('The `operation` must be "read", "write" or "subscribe".');
+	}
+	let count = ('count' in p) ? p['count'] : 1;
+	if (typeof (count) !== 'number' || count % 1 !== 0 || count < 1) {
+		throw new Error('The `count` must be an integer greater than 0.');
+	}
+	this._faults.push({ uuid: p['uuid'], operation: p['operation'], count: count });
+};
+
+/* ------------------------------------------------------------------
+* Method: setWriteFilter(uuid, filter)
+* - uuid  : Short UUID of the characteristic (e.g., "3042")
+* - filter: Function which is called with a copy of the value written to
+*           the characteristic, and returns the value which the device
+*           actually stores. `null` removes the filter.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.setWriteFilter = function (uuid, filter) {
+	if (!this._chars[uuid]) {
+		throw new Error('The `uuid` is invalid.');
+	}
+	if (filter === null) {
+		delete this._write_filters[uuid];
+	} else if (typeof (filter) === 'function') {
+		this._write_filters[uuid] = filter;
+	} else {
+		throw new Error('The `filter` must be a function or `null`.');
+	}
+};
+
+/* ------------------------------------------------------------------
+* Method: clearFaults()
+* - Removes the faults injected and the write filters.
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype.clearFaults = function () {
+	this._faults = [];
+	this._write_filters = {};
+};
+
+// Throws an exception if a fault is injected into the operation
+EnvsensorSimulatorPeripheral.prototype._checkFault = function (char_uuid, operation) {
+	for (let i = 0; i < this._faults.length; i++) {
+		let fault = this._faults[i];
+		if (fault['uuid'] === char_uuid && fault['operation'] === operation) {
+			if (--fault['count'] === 0) {
+				this._faults.splice(i, 1);
+			}
+			throw new Error('Injected fault: `' + operation + '` of the characteristic `' + char_uuid + '`.');
+		}
+	}
+};
+
+EnvsensorSimulatorPeripheral.prototype._callback = function (callback) {
+	if (typeof (callback) !== 'function') {
+		return;
+	}
+	let args = Array.prototype.slice.call(arguments, 1);
+	callback.apply(null, args);
+};
+
+EnvsensorSimulatorPeripheral.prototype._dropConnection = function () {
+	this.state = 'disconnected';
+	this._stopMeasurementTimer();
+	this._char_list.forEach((char) => {
+		char._subscribed = false;
+	});
+	this.emit('disconnect');
+};
+
+// Runs a GATT operation asynchronously as the real device responds over the air
+EnvsensorSimulatorPeripheral.prototype._gatt = function (operation, callback) {
+	setTimeout(() => {
+		if (this.state !== 'connected') {
+			this._callback(callback, new Error('The device is not connected.'));
+			return;
+		}
+		let res = null;
+		try {
+			res = operation();
+		} catch (error) {
+			this._callback(callback, error);
+			return;
+		}
+		this._callback(callback, null, res);
+	}, this._response_delay);
+};
+
+/* ------------------------------------------------------------------
+* Clock and flash memory
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype._now = function () {
+	if (this._clock_offset === null) {
+		return 0;
+	}
+	return Math.floor(Date.now() / 1000) + this._clock_offset;
+};
+
+EnvsensorSimulatorPeripheral.prototype._setClock = function (unix_time) {
+	this._clock_offset = unix_time - Math.floor(Date.now() / 1000);
+	// Setting the time clears the flash memory and restarts the recording
+	this._record_start = unix_time;
+};
+
+EnvsensorSimulatorPeripheral.prototype._getAdvSetting = function () {
+	return EnvsensorChars.parseResponse('3042', this._values['3042']);
+};
+
+EnvsensorSimulatorPeripheral.prototype._getInterval = function () {
+	return this._values['3011'].readUInt16LE(0);
+};
+
+EnvsensorSimulatorPeripheral.prototype._isRecording = function () {
+	let mode = this._getAdvSetting()['beaconMode'];
+	return (this._clock_offset !== null && this._RECORDING_MODES.indexOf(mode) >= 0);
+};
+
+// Returns the index of the latest recorded row counted from the start of the recording
+EnvsensorSimulatorPeripheral.prototype._getLatestIndex = function () {
+	if (!this._isRecording()) {
+		return -1;
+	}
+	return Math.floor((this._now() - this._record_start) / this._getInterval());
+};
+
+EnvsensorSimulatorPeripheral.prototype._getLatestPage = function () {
+	let idx = this._getLatestIndex();
+	if (idx < 0) {
+		return { unixTime: 0, page: 0, row: 0 };
+	}
+	let page_idx = Math.floor(idx / this._ROW_NUM);
+	return {
+		unixTime: this._record_start + page_idx * this._ROW_NUM * this._getInterval(),
+		page: page_idx % this._PAGE_NUM,
+		row: idx % this._ROW_NUM
+	};
+};
+
+EnvsensorSimulatorPeripheral.prototype._getRecordedRow = function (idx) {
+	let unix_time = this._record_start + idx * this._getInterval();
+	let r = this.readings;
+	if (typeof (this.recordGenerator) === 'function') {
+		r = Object.assign({}, r, this.recordGenerator(unix_time, idx));
+	}
+	return r;
+};
+
+EnvsensorSimulatorPeripheral.prototype._requestPage = function (page, row) {
+	this._request_page = { page: page, row: row };
+	this._response_rows = [];
+	let idx = this._getLatestIndex();
+	if (idx < 0) {
+		this._response_flag = { updateFlag: 0x02, unixTime: 0 };
+		return;
+	}
+	let latest_page_idx = Math.floor(idx / this._ROW_NUM);
+	let page_idx = latest_page_idx - ((latest_page_idx % this._PAGE_NUM) - page + this._PAGE_NUM) % this._PAGE_NUM;
+	if (page_idx < 0) {
+		this._response_flag = { updateFlag: 0x02, unixTime: 0 };
+		return;
+	}
+	if (page_idx === latest_page_idx) {
+		row = Math.min(row, idx % this._ROW_NUM);
+	}
+	for (let r = row; r >= 0; r--) {
+		this._response_rows.push({ row: r, idx: page_idx * this._ROW_NUM + r });
+	}
+	this._response_flag = {
+		updateFlag: 0x01,
+		unixTime: this._record_start + page_idx * this._ROW_NUM * this._getInterval()
+	};
+};
+
+EnvsensorSimulatorPeripheral.prototype._startMeasurementTimer = function () {
+	this._stopMeasurementTimer();
+	this._measure_timer = setInterval(() => {
+		this._chars['3001']._notify(this._readChar('3001'));
+	}, this._getInterval() * 1000);
+	if (this._measure_timer.unref) {
+		this._measure_timer.unref();
+	}
+};
+
+EnvsensorSimulatorPeripheral.prototype._stopMeasurementTimer = function () {
+	if (this._measure_timer) {
+		clearInterval(this._measure_timer);
+		this._measure_timer = null;
+	}
+};
+
+/* ------------------------------------------------------------------
+* Characteristic values
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype._readChar = function (char_uuid) {
+	if (char_uuid === '3001') {
+		let idx = this._getLatestIndex();
+		let row = (idx < 0) ? 0 : idx % this._ROW_NUM;
+		return this._createSensorDataBuffer(row, this.readings);
+	} else if (char_uuid === '3002') {
+		let lp = this._getLatestPage();
+		let buf = Buffer.alloc(9);
+		buf.writeUInt32LE(lp['unixTime'], 0);
+		buf.writeUInt16LE(this._getInterval(), 4);
+		buf.writeUInt16LE(lp['page'], 6);
+		buf.writeUInt8(lp['row'], 8);
+		return buf;
+	} else if (char_uuid === '3003') {
+		let buf = Buffer.alloc(3);
+		buf.writeUInt16LE(this._request_page['page'], 0);
+		buf.writeUInt8(this._request_page['row'], 2);
+		return buf;
+	} else if (char_uuid === '3004') {
+		let buf = Buffer.alloc(5);
+		buf.writeUInt8(this._response_flag['updateFlag'], 0);
+		buf.writeUInt32LE(this._response_flag['unixTime'], 1);
+		return buf;
+	} else if (char_uuid === '3005') {
+		let item = this._response_rows.shift();
+		if (!item) {
+			// No more rows in the requested page
+			let buf = Buffer.alloc(19);
+			buf.writeUInt8(0xff, 0);
+			return buf;
+		}
+		return this._createSensorDataBuffer(item['row'], this._getRecordedRow(item['idx']));
+	} else if (char_uuid === '3006') {
+		return this._event_flag;
+	} else if (char_uuid === '3031') {
+		let buf = Buffer.alloc(4);
+		buf.writeUInt32LE(this._now(), 0);
+		return buf;
+	} else if (char_uuid === '3033') {
+		return this._error_status;
+	} else if (char_uuid === '2a00') {
+		return Buffer.from(this._getNames()['deviceName'], 'utf8');
+	} else if (this._values[char_uuid]) {
+		return this._values[char_uuid];
+	} else {
+		throw new Error('The characteristic does not support `Read`.');
+	}
+};
+
+EnvsensorSimulatorPeripheral.prototype._writeChar = function (char_uuid, buf) {
+	if (char_uuid === '3003') {
+		let parsed = this._parseWriteBuffer(char_uuid, buf);
+		this._requestPage(parsed['page'], parsed['row']);
+	} else if (char_uuid === '3011') {
+		this._parseWriteBuffer(char_uuid, buf);
+		this._values[char_uuid] = Buffer.from(buf);
+		if (this._clock_offset !== null) {
+			// Changing the interval clears the flash memory
+			this._record_start = this._now();
+		}
+		if (this.state === 'connected') {
+			this._startMeasurementTimer();
+		}
+	} else if (/^(3013|3014|3015|3016|3017|3018|3019|301a)$/.test(char_uuid)) {
+		this._parseWriteBuffer(char_uuid, buf);
+		this._values[char_uuid] = Buffer.from(buf);
+	} else if (char_uuid === '3031') {
+		let parsed = this._parseWriteBuffer(char_uuid, buf);
+		this._setClock(parsed['unixTime']);
+	} else if (char_uuid === '3032') {
+		if (buf.length !== 1 || buf.readUInt8(0) < 1 || buf.readUInt8(0) > 10) {
+			throw new Error('Invalid value for the characteristic `3032`.');
+		}
+		this.emit('led', buf.readUInt8(0));
+	} else if (char_uuid === '3033') {
+		if (buf.length !== 4) {
+			throw new Error('Invalid value for the characteristic `3033`.');
+		}
+		this._error_status = Buffer.alloc(4);
+	} else if (char_uuid === '3034') {
+		if (buf.length !== 2) {
+			throw new Error('Invalid value for the characteristic `3034`.');
+		}
+		if (buf.readUInt8(0) === 0x01) {
+			setTimeout(() => {
+				this.simulateDisconnect();
+			}, this._response_delay);
+		}
+	} else if (char_uuid === '3041') {
+		if (buf.length !== 20) {
+			throw new Error('Invalid value for the characteristic `3041`.');
+		}
+		this._values[char_uuid] = Buffer.from(buf);
+	} else if (char_uuid === '3042') {
+		let parsed = this._parseWriteBuffer(char_uuid, buf);
+		this._values[char_uuid] = Buffer.from(buf);
+		if (this._RECORDING_MODES.indexOf(parsed['beaconMode']) < 0) {
+			// The recording mode is stopped and the time is cleared
+			this._clock_offset = null;
+		}
+	} else {
+		throw new Error('The characteristic does not support `Write`.');
+	}
+	this._updateAdvertisement();
+};
+
+EnvsensorSimulatorPeripheral.prototype._parseWriteBuffer = function (char_uuid, buf) {
+	let parsed = EnvsensorChars.parseResponse(char_uuid, buf);
+	if (!parsed) {
+		throw new Error('Invalid value for the characteristic `' + char_uuid + '`.');
+	}
+	return parsed;
+};
+
+EnvsensorSimulatorPeripheral.prototype._createSensorDataBuffer = function (row, r) {
+	let di = EnvsensorAdvertising._calcDiscomfortIndex(r['temperature'], r['humidity']);
+	let hs = EnvsensorAdvertising._calcHeatStroke(r['temperature'], r['humidity']);
+	let buf = Buffer.alloc(19);
+	buf.writeUInt8(row, 0);
+	buf.writeInt16LE(Math.round(r['temperature'] * 100), 1);
+	buf.writeInt16LE(Math.round(r['humidity'] * 100), 3);
+	buf.writeInt16LE(Math.round(r['ambientLight']), 5);
+	buf.writeInt16LE(Math.round(r['uvIndex'] * 100), 7);
+	buf.writeInt16LE(Math.round(r['pressure'] * 10), 9);
+	buf.writeInt16LE(Math.round(r['soundNoise'] * 100), 11);
+	buf.writeInt16LE(Math.round(di * 100), 13);
+	buf.writeInt16LE(Math.round(hs * 100), 15);
+	buf.writeUInt16LE(Math.round(r['batteryVoltage']), 17);
+	return buf;
+};
+
+/* ------------------------------------------------------------------
+* Advertising
+* ---------------------------------------------------------------- */
+EnvsensorSimulatorPeripheral.prototype._getNames = function () {
+	let mode = this._getAdvSetting()['beaconMode'];
+	if (mode === 2 || mode === 3) {
+		return { localName: 'IM', deviceName: 'IM-BL01' };
+	} else if (mode === 4 || mode === 5) {
+		return { localName: 'EP', deviceName: 'EP-BL01' };
+	} else {
+		return { localName: 'Env', deviceName: 'EnvSensor-BL01' };
+	}
+};
+
+// Returns the advertising interval (msec) based on the ADV setting (3042)
+EnvsensorSimulatorPeripheral.prototype._getAdvInterval = function () {
+	let s = this._getAdvSetting();
+	if (s['beaconMode'] >= 2 && s['beaconMode'] <= 5) {
+		return s['nonconIndInterval'];
+	} else {
+		return s['indInterval'];
+	}
+};
+
+// Returns whether the device is advertising at the moment
+EnvsensorSimulatorPeripheral.prototype._isAdvertising = function () {
+	if (this.state !== 'disconnected') {
+		return false;
+	}
+	let s = this._getAdvSetting();
+	if (s['beaconMode'] === 3 || s['beaconMode'] === 5) {
+		// Limited Broadcaster
+		let cycle = (s['transmissionPeriod'] + s['silentPeriod']) * 1000;
+		return ((Date.now() - this._boot_time) % cycle) < s['transmissionPeriod'] * 1000;
+	}
+	return true;
+};
+
+EnvsensorSimulatorPeripheral.prototype._updateAdvertisement = function () {
+	let mode = this._getAdvSetting()['beaconMode'];
+	let ad = this.advertisement;
+	ad.localName = this._getNames()['localName'];
+	this.connectable = (mode === 0 || mode === 1 || mode === 7 || mode === 8);
+	if (mode === 7) {
+		ad.manufacturerData = this._createAdv(this._adv_toggle ? 'A' : 'B');
+	} else if (mode === 8) {
+		ad.manufacturerData = this._createAdv('C');
+	} else if (mode === 2 || mode === 3) {
+		ad.manufacturerData = this._createAdv('D');
+	} else if (mode === 4 || mode === 5) {
+		ad.manufacturerData = this._createAdv('E');
+	} else {
+		ad.manufacturerData = this._createAdv('B');
+	}
+};
+
+// Called by the `EnvsensorSimulator` whenever an advertising packet is sent
+EnvsensorSimulatorPeripheral.prototype._advertise = function () {
+	this._adv_toggle = !this._adv_toggle;
+	this._updateAdvertisement();
+	return this.advertisement;
+};
+
+EnvsensorSimulatorPeripheral.prototype._getSequenceNumber = function () {
+	return Math.floor((Date.now() - this._boot_time) / (this._getInterval() * 1000)) % 256;
+};
+
+// Creates the manufacturer data of the specified format ("A" - "E")
+EnvsensorSimulatorPeripheral.prototype._createAdv = function (format) {
+	let lp = this._getLatestPage();
+	let data = {};
+	Object.keys(this.readings).forEach((k) => {
+		data[k] = this.readings[k];
+	});
+	data['uuid'] = this._values['3041'].slice(0, 16).toString('hex');
+	data['major'] = lp['page'];
+	data['minor'] = lp['row'];
+	data['txPower'] = 0xc3;
+	data['page'] = lp['page'];
+	data['row'] = lp['row'];
+	data['uniqueId'] = this._unique_id;
+	data['eventFlag'] = EnvsensorAdvertising._parseEventFlag(this._event_flag);
+	data['sequenceNumber'] = this._getSequenceNumber();
+	let res = EnvsensorAdvertising.createManufacturerData(format, data);
+	if (res['error']) {
+		throw res['error'];
+	}
+	return res['buffer'];
+};
+
+module.exports = EnvsensorSimulatorPeripheral;
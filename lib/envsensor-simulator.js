@@ -0,0 +1,165 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - envsensor-simulator.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+const EnvsensorSimulatorPeripheral = require('./envsensor-simulator-peripheral.js');
+
+/* ------------------------------------------------------------------
+* Constructor: EnvsensorSimulator([params])
+* - A fake Noble object which can be passed to the `Envsensor`
+*   constructor as the `noble` property.
+* - params:
+*     state : Initial adapter state. The default is "poweredOn".
+* ---------------------------------------------------------------- */
+const EnvsensorSimulator = function (params) {
+	EventEmitter.call(this);
+	let p = params || {};
+
+	// Public properties (compatible with the Noble object)
+	this.state = ('state' in p) ? p['state'] : 'poweredOn';
+
+	// Private properties
+	this._peripherals = {};
+	this._scanning = false;
+	this._allow_duplicates = false;
+	this._last_packets = {};
+	this._timers = {};
+};
+util.inherits(EnvsensorSimulator, EventEmitter);
+
+/* ------------------------------------------------------------------
+* Method: addDevice([params])
+* - params: See the `EnvsensorSimulatorPeripheral` constructor.
+*
+* - Returns an `EnvsensorSimulatorPeripheral` object.
+* ---------------------------------------------------------------- */
+EnvsensorSimulator.prototype.addDevice = function (params) {
+	let peripheral = new EnvsensorSimulatorPeripheral(this, params);
+	if (this._peripherals[peripheral.id]) {
+		throw new Error('The device `' + peripheral.address + '` has already been added.');
+	}
+	this._peripherals[peripheral.id] = peripheral;
+	if (this._scanning) {
+		this._startAdvertising(peripheral);
+	}
+	return peripheral;
+};
+
+/* ------------------------------------------------------------------
+* Method: removeDevice(id)
+* ---------------------------------------------------------------- */
+EnvsensorSimulator.prototype.removeDevice = function (id) {
+	let peripheral = this._peripherals[id];
+	if (!peripheral) {
+		return;
+	}
+	this._stopAdvertising(peripheral);
+	peripheral.simulateDisconnect();
+	delete this._peripherals[id];
+};
+
+/* ------------------------------------------------------------------
+* Method: getDevices()
+* ---------------------------------------------------------------- */
+EnvsensorSimulator.prototype.getDevices = function () {
+	return Object.keys(this._peripherals).map((id) => {
+		return this._peripherals[id];
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: setState(state)
+* - state: "poweredOn", "poweredOff", "unauthorized", "unsupported", ...
+* ---------------------------------------------------------------- */
+EnvsensorSimulator.prototype.setState = function (state) {
+	if (this.state === state) {
+		return;
+	}
+	this.state = state;
+	if (state !== 'poweredOn') {
+		this.stopScanning();
+	}
+	this.emit('stateChange', state);
+};
+
+/* ------------------------------------------------------------------
+* Methods compatible with the Noble object
+* ---------------------------------------------------------------- */
+EnvsensorSimulator.prototype.startScanning = function (service_uuids, allow_duplicates, callback) {
+	if (typeof (service_uuids) === 'function') {
+		callback = service_uuids;
+		allow_duplicates = false;
+	} else if (typeof (allow_duplicates) === 'function') {
+		callback = allow_duplicates;
+		allow_duplicates = false;
+	}
+	if (this.state !== 'poweredOn') {
+		let error = new Error('Could not start scanning, state is ' + this.state + ' (not poweredOn)');
+		if (typeof (callback) === 'function') {
+			callback(error);
+			return;
+		}
+		throw error;
+	}
+	this._allow_duplicates = allow_duplicates ? true : false;
+	this._last_packets = {};
+	if (!this._scanning) {
+		this._scanning = true;
+		this.getDevices().forEach((peripheral) => {
+			this._startAdvertising(peripheral);
+		});
+		this.emit('scanStart');
+	}
+	if (typeof (callback) === 'function') {
+		callback(null);
+	}
+};
+
+EnvsensorSimulator.prototype.stopScanning = function (callback) {
+	if (this._scanning) {
+		this._scanning = false;
+		this.getDevices().forEach((peripheral) => {
+			this._stopAdvertising(peripheral);
+		});
+		this.emit('scanStop');
+	}
+	if (typeof (callback) === 'function') {
+		callback(null);
+	}
+};
+
+EnvsensorSimulator.prototype._startAdvertising = function (peripheral) {
+	this._stopAdvertising(peripheral);
+	let send = () => {
+		if (!this._scanning || !this._peripherals[peripheral.id]) {
+			return;
+		}
+		if (peripheral._isAdvertising()) {
+			peripheral._advertise();
+			let hex = peripheral.advertisement.localName + ':' + peripheral.advertisement.manufacturerData.toString('hex');
+			if (this._allow_duplicates || this._last_packets[peripheral.id] !== hex) {
+				this._last_packets[peripheral.id] = hex;
+				this.emit('discover', peripheral);
+			}
+		}
+		// The ADV interval may be changed at any time, so the timer is scheduled every time
+		this._timers[peripheral.id] = setTimeout(send, peripheral._getAdvInterval());
+		if (this._timers[peripheral.id].unref) {
+			this._timers[peripheral.id].unref();
+		}
+	};
+	this._timers[peripheral.id] = setTimeout(send, 0);
+};
+
+EnvsensorSimulator.prototype._stopAdvertising = function (peripheral) {
+	let timer = this._timers[peripheral.id];
+	if (timer) {
+		clearTimeout(timer);
+		delete this._timers[peripheral.id];
+	}
+};
+
+module.exports = EnvsensorSimulator;
@@ -6,8 +6,21 @@
 * Date: 2019-10-24
 * ---------------------------------------------------------------- */
 'use strict';
+const EventEmitter = require('events').EventEmitter;
+const util = require('util');
+const fs = require('fs');
 const EnvsensorDevice = require('./envsensor-device.js');
 const EnvsensorAdvertising = require('./envsensor-advertising.js');
+const EnvsensorErrors = require('./envsensor-errors.js');
+const EnvsensorAbort = require('./envsensor-abort.js');
+const EnvsensorAdvertisementStream = require('./envsensor-advertisement-stream.js');
+const EnvsensorSequenceTracker = require('./envsensor-sequence-tracker.js');
+const EnvsensorCapture = require('./envsensor-capture.js');
+const EnvsensorBeaconMerger = require('./envsensor-beacon-merger.js');
+const EnvsensorProximity = require('./envsensor-proximity.js');
+const EnvsensorPresence = require('./envsensor-presence.js');
+const EnvsensorReadingCache = require('./envsensor-reading-cache.js');
+const EnvsensorProvisioner = require('./envsensor-provisioner.js');
 
 /* ------------------------------------------------------------------
 * Constructor: Envsensor(params)
@@ -15,15 +28,37 @@ const EnvsensorAdvertising = require('./envsensor-advertising.js');
 *     noble  : The Nobel object created by the noble module.
 *              This parameter is optional. If you don't specify
 *              this parameter, this module automatically creates it.
+*     The timing options of the GATT requests (`responseTimeout`,
+*     `timeoutRetries`, ...) can be specified as well. They are applied
+*     to all the `EnvsensorDevice` objects created by this object.
+*     proximity : The parameters of the distance estimation. See the
+*              `EnvsensorProximity` for details.
+*     presence : The timeouts of the presence tracking. See the
+*              `EnvsensorPresence` for details.
+*
+* - Events:
+*     advertisement : Emitted whenever an advertising packet is received.
+*     alternatebeacon : Emitted whenever a packet of the format (A) or
+*                     (B) is received in the Alternate Beacon mode, with
+*                     the record combining both formats.
+*     appear        : Emitted when a device starts advertising.
+*     disappear     : Emitted when a device stops advertising.
+*     discover      : Emitted whenever a device is newly found.
+*     stateChange   : Emitted whenever the state of the Noble object changes.
+*     error         : Emitted when an event listener throws an exception,
+*                     or when writing a capture file fails (only if an
+*                     `error` listener is registered).
 * ---------------------------------------------------------------- */
 const Envsensor = function (params) {
+	EventEmitter.call(this);
+
 	// Plublic properties
 	this.noble = null;
 	if (params && 'noble' in params) {
 		if (typeof (params['noble']) === 'object') {
 			this.noble = params['noble'];
 		} else {
-			throw new Error('The value of the "noble" property is invalid.');
+			throw new EnvsensorErrors.ValidationError('The value of the "noble" property is invalid.', 'noble');
 		}
 	} else {
 		try {
@@ -33,6 +68,9 @@ const Envsensor = function (params) {
 		}
 	}
 	this.onadvertisement = null;
+	this.onalternatebeacon = null;
+	this.onappear = null;
+	this.ondisappear = null;
 	this.ondiscover = null;
 
 	// Private properties
@@ -41,7 +79,40 @@ const Envsensor = function (params) {
 	this._DISCOVER_WAIT_MAX_MSEC = 60000; // ms
 	this._devices = {};
 	this._initialized = false;
+	this._adv_stream = null;
+	this._sequence_tracker = new EnvsensorSequenceTracker();
+	this._beacon_merger = new EnvsensorBeaconMerger();
+	this._reading_cache = new EnvsensorReadingCache();
+	this._capture = null;
+	this._replay = null;
+	this._presence_timer = null;
+
+	let res = EnvsensorDevice._parseOptions(params, null);
+	if (res['error']) {
+		throw res['error'];
+	}
+	this._device_options = res['options'];
+	this._proximity = new EnvsensorProximity(params ? params['proximity'] : null);
+	this._presence = new EnvsensorPresence(params ? params['presence'] : null);
+
+	// The `stateChange` events of the Noble object are forwarded only while a
+	// listener is registered, so that the `Envsensor` objects sharing the
+	// Noble object do not leave their listeners on it
+	this._onstatechange = (state) => {
+		this.emit('stateChange', state);
+	};
+	this.on('newListener', (event) => {
+		if (event === 'stateChange' && this.listenerCount('stateChange') === 0) {
+			this.noble.on('stateChange', this._onstatechange);
+		}
+	});
+	this.on('removeListener', (event) => {
+		if (event === 'stateChange' && this.listenerCount('stateChange') === 0) {
+			this.noble.removeListener('stateChange', this._onstatechange);
+		}
+	});
 };
+util.inherits(Envsensor, EventEmitter);
 
 /* ------------------------------------------------------------------
 * Method: init()
@@ -58,7 +129,7 @@ Envsensor.prototype.init = function () {
 					this._initialized = true;
 					resolve();
 				} else {
-					let err = new Error('Failed to initialize the Noble object: ' + state);
+					let err = new EnvsensorErrors.EnvsensorError('Failed to initialize the Noble object: ' + state, 'ERR_ADAPTER_STATE');
 					reject(err);
 				}
 			});
@@ -73,13 +144,19 @@ Envsensor.prototype.init = function () {
 *     duration: 5000, // Duration for discovery process (msec)
 *     idFilter: '' // Forward match
 *     quick: false
+*     addresses: null, // Finishes when all these devices are discovered
+*     signal: null // AbortSignal to abort the discovery process
 *   }
+* - The `addresses` is a list of the addresses or the IDs of the devices
+*   (e.g., "F0:D2:F1:02:03:04" or "f0d2f1020304").
 * ---------------------------------------------------------------- */
 Envsensor.prototype.discover = function (p) {
 	this._checkInitialized();
 	let duration = 5000;
 	let id_filter = '';
 	let quick = false;
+	let addresses = null;
+	let signal = null;
 	if (p && typeof (p) === 'object') {
 		if (('duration' in p) && typeof (p['duration']) === 'number') {
 			duration = p['duration'];
@@ -95,14 +172,34 @@ Envsensor.prototype.discover = function (p) {
 		if (('quick' in p) && typeof (p['quick'] === 'boolean')) {
 			quick = p['quick'];
 		}
+		if (('addresses' in p) && Array.isArray(p['addresses']) && p['addresses'].length > 0) {
+			addresses = {};
+			p['addresses'].forEach((address) => {
+				addresses[this._normalizeAddress(address)] = true;
+			});
+		}
+		if ('signal' in p) {
+			signal = p['signal'];
+		}
 	}
 
 	let promise = new Promise((resolve, reject) => {
+		let signal_error = EnvsensorAbort.check(signal);
+		if (signal_error) {
+			reject(signal_error);
+			return;
+		}
 		let timer = null;
+		let unwatch = EnvsensorAbort.watch(signal, () => {
+			clearTimeout(timer);
+			this.stopScan();
+			reject(new EnvsensorErrors.AbortError());
+		});
 		let finishDiscovery = () => {
 			if (timer) {
 				clearTimeout(timer);
 			}
+			unwatch();
 			this.stopScan();
 			let device_list = [];
 			for (let id in this._devices) {
@@ -117,6 +214,14 @@ Envsensor.prototype.discover = function (p) {
 				finishDiscovery();
 				return;
 			}
+			if (addresses && dev) {
+				delete addresses[this._normalizeAddress(dev.address)];
+				delete addresses[this._normalizeAddress(dev.id)];
+				if (Object.keys(addresses).length === 0) {
+					addresses = null;
+					finishDiscovery();
+				}
+			}
 		});
 		this.noble.startScanning([], false);
 		this._discover_status = true;
@@ -127,12 +232,21 @@ Envsensor.prototype.discover = function (p) {
 	return promise;
 };
 
+// "F0:D2:F1:02:03:04" and "f0d2f1020304" are regarded as the same
+Envsensor.prototype._normalizeAddress = function (address) {
+	return (typeof (address) === 'string') ? address.replace(/[:-]/g, '').toLowerCase() : '';
+};
+
 Envsensor.prototype._checkInitialized = function () {
 	if (this._initialized === false) {
-		throw new Error('The `init()` method has not been called yet.');
+		throw new EnvsensorErrors.EnvsensorError('The `init()` method has not been called yet.', 'ERR_NOT_INITIALIZED');
 	}
-	if (this._discover_status === true) {
-		throw new Error('The `discover()` or the `startScan()` method is in progress.');
+	this._checkBusy();
+};
+
+Envsensor.prototype._checkBusy = function () {
+	if (this._discover_status === true || this._replay) {
+		throw new EnvsensorErrors.EnvsensorError('The `discover()`, the `startScan()`, or the `replay()` method is in progress.', 'ERR_BUSY');
 	}
 };
 
@@ -144,11 +258,9 @@ Envsensor.prototype._discoveredDevice = function (peripheral, id_filter) {
 		if (this._devices[addr]) {
 			return null;
 		}
-		let device = new EnvsensorDevice(this.noble, peripheral);
-		if (this.ondiscover && typeof (this.ondiscover) === 'function') {
-			this.ondiscover(device);
-		}
+		let device = new EnvsensorDevice(this.noble, peripheral, this._device_options);
 		this._devices[addr] = device;
+		this._dispatch('discover', this.ondiscover, device);
 		return device;
 	} else {
 		return null;
@@ -164,34 +276,429 @@ Envsensor.prototype.stopScan = function () {
 		this._discover_status = false;
 		this.noble.stopScanning();
 	}
+	if (this._presence_timer) {
+		clearInterval(this._presence_timer);
+		this._presence_timer = null;
+	}
+	if (this._capture) {
+		let capture = this._capture;
+		this._capture = null;
+		if (capture['owned']) {
+			capture['stream'].end();
+		}
+	}
+	if (this._replay) {
+		this._replay.stop();
+	}
+	if (this._adv_stream) {
+		let stream = this._adv_stream;
+		this._adv_stream = null;
+		stream._stop();
+	}
 };
 
 /* ------------------------------------------------------------------
 * Method: startScan([p])
 * - p = {
-*     idFilter: '' // Forward match
+*     idFilter: '', // Forward match
+*     dedup: false, // Emit each measurement of the formats (D) and (E) only once
+*     record: null // Path of a capture file, or a `Writable` stream
 *   }
+*
+* - If the `record` is specified, every raw advertisement received is
+*   written as a line of NDJSON (see the `EnvsensorCapture`), whether it
+*   was sent by the device or not. A file specified by the path is
+*   overwritten, and closed by the `stopScan()` method.
 * ---------------------------------------------------------------- */
 Envsensor.prototype.startScan = function (p) {
 	this._checkInitialized();
 	let id_filter = '';
+	let dedup = false;
+	let record = null;
 	if (p && typeof (p) === 'object') {
 		if (('idFilter' in p) && typeof (p['idFilter'] === 'string')) {
 			id_filter = p['idFilter'];
 		}
+		if ('dedup' in p) {
+			dedup = p['dedup'] ? true : false;
+		}
+		if ('record' in p && p['record'] !== null && p['record'] !== undefined) {
+			record = p['record'];
+			if (!(typeof (record) === 'string' && record) && !(typeof (record) === 'object' && typeof (record.write) === 'function')) {
+				throw new EnvsensorErrors.ValidationError('The `record` must be a file path or a `Writable` stream.', 'record');
+			}
+		}
 	}
+	if (record) {
+		this._startCapture(record);
+	}
+	this._sequence_tracker.restart();
+	this._beacon_merger.reset();
+	this._presence.restart(new Date());
+	this._presence_timer = setInterval(() => {
+		this._sweepPresence(new Date());
+	}, 1000);
 	this.noble.on('discover', (peripheral) => {
-		let parsed = EnvsensorAdvertising.parse(peripheral);
-		if (parsed) {
-			var ad = peripheral.advertisement;
-			if (id_filter && peripheral.id.indexOf(id_filter) !== 0) { return; }
-			if (this.onadvertisement && typeof (this.onadvertisement) === 'function') {
-				this.onadvertisement(parsed);
-			}
+		let time = new Date();
+		if (this._capture) {
+			this._capture['stream'].write(EnvsensorCapture.createRecord(peripheral, time) + '\n');
 		}
+		this._handleAdvertisement(peripheral, id_filter, dedup, time);
 	});
 	this.noble.startScanning([], true);
 	this._discover_status = true;
 };
 
+// Starts writing the advertisements to the `record`. A file path is opened
+// synchronously, so that a path which can not be written is reported to
+// the caller of the `startScan()` instead of an unhandled `error` event.
+Envsensor.prototype._startCapture = function (record) {
+	let stream = record;
+	let owned = false;
+	if (typeof (record) === 'string') {
+		let fd = null;
+		try {
+			fd = fs.openSync(record, 'w');
+		} catch (error) {
+			throw new EnvsensorErrors.ValidationError('The `record` can not be written: ' + error.message, 'record');
+		}
+		stream = fs.createWriteStream(record, { fd: fd });
+		owned = true;
+	}
+	stream.on('error', (error) => {
+		// The capturing is stopped quietly unless someone listens to the errors
+		if (this._capture && this._capture['stream'] === stream) {
+			this._capture = null;
+		}
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', error);
+		}
+	});
+	this._capture = { stream: stream, owned: owned };
+};
+
+// Parses the advertisement of the `peripheral` received at the `time`
+// (`Date` object), then emits it. This is shared by the `startScan()`
+// and the `replay()` methods.
+Envsensor.prototype._handleAdvertisement = function (peripheral, id_filter, dedup, time) {
+	let parsed = EnvsensorAdvertising.parse(peripheral);
+	if (parsed) {
+		if (id_filter && peripheral.id.indexOf(id_filter) !== 0) { return; }
+		this._proximity.update(parsed, time);
+		this._reading_cache.update(parsed, time);
+		let appeared = this._presence.update(parsed, time);
+		if (appeared) {
+			this._dispatch('appear', this.onappear, appeared);
+		}
+		let is_new = this._sequence_tracker.check(parsed, time);
+		if (dedup && !is_new) { return; }
+		this._dispatch('advertisement', this.onadvertisement, parsed);
+		let merged = this._beacon_merger.merge(parsed, time);
+		if (merged) {
+			this._dispatch('alternatebeacon', this.onalternatebeacon, merged);
+		}
+	}
+};
+
+// Emits the `disappear` events of the devices which have not advertised
+// for their timeouts at the `now` (`Date` object)
+Envsensor.prototype._sweepPresence = function (now) {
+	this._presence.sweep(now).forEach((entry) => {
+		this._dispatch('disappear', this.ondisappear, entry);
+	});
+};
+
+/* ------------------------------------------------------------------
+* Method: replay(p)
+* - p = {
+*     path: '', // Path of a capture file recorded by the `startScan()`
+*     speed: 1, // Playback speed. `0` means as fast as possible.
+*     idFilter: '', // Forward match
+*     dedup: false, // See the `startScan()` method
+*     signal: null // AbortSignal to abort the replay
+*   }
+*
+* - Feeds the advertisements in the capture file to the same path as the
+*   `startScan()` method, that is, the `advertisement` events and the
+*   `onadvertisement` event handler, keeping the intervals between them
+*   (divided by the `speed`). The `init()` method is not required.
+* - The number of the advertisements fed is passed to the `resolve()`
+*   function when all of them are fed, or when the `stopScan()` method
+*   is called.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.replay = function (p) {
+	let promise = new Promise((resolve, reject) => {
+		if (!p || typeof (p) !== 'object' || typeof (p['path']) !== 'string' || !p['path']) {
+			reject(new EnvsensorErrors.ValidationError('The `path` must be a file path.', 'path'));
+			return;
+		}
+		let speed = 1;
+		if ('speed' in p) {
+			speed = p['speed'];
+			if (typeof (speed) !== 'number' || isNaN(speed) || speed < 0) {
+				reject(new EnvsensorErrors.ValidationError('The `speed` must be a number greater than or equal to 0.', 'speed'));
+				return;
+			}
+		}
+		let id_filter = ('idFilter' in p && typeof (p['idFilter']) === 'string') ? p['idFilter'] : '';
+		let dedup = p['dedup'] ? true : false;
+		let signal = p['signal'] || null;
+		let signal_error = EnvsensorAbort.check(signal);
+		if (signal_error) {
+			reject(signal_error);
+			return;
+		}
+		try {
+			this._checkBusy();
+		} catch (error) {
+			reject(error);
+			return;
+		}
+
+		let count = 0;
+		let timer = null;
+		let finish = (error) => {
+			if (this._replay !== replay) {
+				return;
+			}
+			this._replay = null;
+			clearTimeout(timer);
+			unwatch();
+			if (error) {
+				reject(error);
+			} else {
+				resolve(count);
+			}
+		};
+		let replay = {
+			stop: () => {
+				finish(null);
+			}
+		};
+		let unwatch = EnvsensorAbort.watch(signal, () => {
+			finish(new EnvsensorErrors.AbortError());
+		});
+		this._replay = replay;
+
+		fs.readFile(p['path'], 'utf8', (error, text) => {
+			if (this._replay !== replay) {
+				return;
+			}
+			if (error) {
+				finish(new EnvsensorErrors.EnvsensorError('Failed to read the capture file: ' + error.message, 'ERR_CAPTURE_FILE', error));
+				return;
+			}
+			let records = [];
+			let lines = text.split(/\r?\n/);
+			for (let i = 0; i < lines.length; i++) {
+				if (!lines[i].trim()) {
+					continue;
+				}
+				let res = EnvsensorCapture.parseRecord(lines[i]);
+				if (res['error']) {
+					res['error'].message = 'Line ' + (i + 1) + ' of the capture file is invalid: ' + res['error'].message;
+					finish(res['error']);
+					return;
+				}
+				records.push(res['record']);
+			}
+			// The table of the devices seen is rebuilt on the timeline of
+			// the capture file, not mixed with the entries of the scans
+			this._presence.reset();
+			this._sequence_tracker.restart();
+			this._beacon_merger.reset();
+			let feed = (i) => {
+				if (this._replay !== replay) {
+					return;
+				}
+				if (i >= records.length) {
+					finish(null);
+					return;
+				}
+				let time = new Date(records[i]['time']);
+				this._sweepPresence(time);
+				this._handleAdvertisement(EnvsensorCapture.createPeripheral(records[i]), id_filter, dedup, time);
+				count++;
+				let wait = 0;
+				if (speed > 0 && i + 1 < records.length) {
+					wait = Math.max(0, records[i + 1]['time'] - records[i]['time']) / speed;
+				}
+				timer = setTimeout(() => {
+					feed(i + 1);
+				}, wait);
+			};
+			feed(0);
+		});
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: advertisements([p])
+* - p = {
+*     idFilter: '', // Forward match
+*     localName: '', // "Env", "IM", "EP", or an array of them
+*     dedup: false, // See the `startScan()` method
+*     highWaterMark: 16 // Maximum number of the buffered advertisements
+*   }
+*
+* - Starts scanning and returns an `EnvsensorAdvertisementStream` object,
+*   which is an object-mode `Readable` stream and an async iterator of
+*   the advertisement data. The scan is stopped when the stream is
+*   destroyed (e.g., `break` in `for await`), or the `stopScan()` method
+*   ends the stream.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.advertisements = function (p) {
+	this._checkInitialized();
+	let id_filter = '';
+	let local_names = [];
+	let dedup = false;
+	let high_water_mark = 16;
+	if (p && typeof (p) === 'object') {
+		if ('idFilter' in p) {
+			if (typeof (p['idFilter']) !== 'string') {
+				throw new EnvsensorErrors.ValidationError('The `idFilter` must be a string.', 'idFilter');
+			}
+			id_filter = p['idFilter'];
+		}
+		if ('localName' in p) {
+			let v = p['localName'];
+			local_names = Array.isArray(v) ? v : [v];
+			let valid = local_names.every((name) => {
+				return /^(Env|IM|EP)$/.test(name);
+			});
+			if (!valid) {
+				throw new EnvsensorErrors.ValidationError('The `localName` must be "Env", "IM", "EP", or an array of them.', 'localName');
+			}
+		}
+		if ('dedup' in p) {
+			dedup = p['dedup'] ? true : false;
+		}
+		if ('highWaterMark' in p) {
+			let v = p['highWaterMark'];
+			if (typeof (v) !== 'number' || v % 1 !== 0 || v < 1) {
+				throw new EnvsensorErrors.ValidationError('The `highWaterMark` must be an integer greater than or equal to 1.', 'highWaterMark');
+			}
+			high_water_mark = v;
+		}
+	}
+	let stream = new EnvsensorAdvertisementStream(this, {
+		localNames: local_names,
+		highWaterMark: high_water_mark
+	});
+	this.startScan({ idFilter: id_filter, dedup: dedup });
+	this._adv_stream = stream;
+	return stream;
+};
+
+/* ------------------------------------------------------------------
+* Method: provision(params)
+* - Discovers the devices, then applies a configuration profile to them
+*   one by one, verifies it by reading it back, sets the clock, and
+*   turns on the LED. See the `EnvsensorProvisioner` for the `params`.
+* - A failure of a device does not stop the others. The report of all
+*   the devices is passed to the `resolve()` function.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.provision = function (params) {
+	let promise = new Promise((resolve, reject) => {
+		let provisioner = null;
+		try {
+			this._checkInitialized();
+			provisioner = new EnvsensorProvisioner(this, params);
+		} catch (error) {
+			reject(error);
+			return;
+		}
+		provisioner.run().then((report) => {
+			resolve(report);
+		}).catch((error) => {
+			reject(error);
+		});
+	});
+	return promise;
+};
+
+/* ------------------------------------------------------------------
+* Method: getLossStats([id])
+* - Returns the reception statistics based on the `sequenceNumber` of
+*   the formats (D) and (E) received by the `startScan()` method, for
+*   the device specified by the `id`, or for all the devices.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.getLossStats = function (id) {
+	return this._sequence_tracker.getStats(id);
+};
+
+/* ------------------------------------------------------------------
+* Method: resetLossStats()
+* ---------------------------------------------------------------- */
+Envsensor.prototype.resetLossStats = function () {
+	this._sequence_tracker.reset();
+};
+
+/* ------------------------------------------------------------------
+* Method: getLatestReadings()
+* - Returns the list of the latest readings of all the devices received
+*   by the `startScan()` or the `replay()` method. See the
+*   `EnvsensorReadingCache` for details.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.getLatestReadings = function () {
+	return this._reading_cache.getAll();
+};
+
+/* ------------------------------------------------------------------
+* Method: getLatestReading(id)
+* - Returns the latest reading of the device specified by the `id`, or
+*   `null` if no reading has been received from the device.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.getLatestReading = function (id) {
+	return this._reading_cache.get(id);
+};
+
+/* ------------------------------------------------------------------
+* Method: getPresence([id])
+* - Returns the presence entry of the device specified by the `id`, or
+*   the list of the entries of all the devices seen by the `startScan()`
+*   or the `replay()` method. See the `EnvsensorPresence` for details.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.getPresence = function (id) {
+	return this._presence.get(id);
+};
+
+/* ------------------------------------------------------------------
+* Method: getProximity([id])
+* - Returns the distance estimate of the device specified by the `id`,
+*   or the list of the estimates of all the devices, based on the RSSI
+*   of the packets received by the `startScan()` or the `replay()`
+*   method. See the `EnvsensorProximity` for details.
+* ---------------------------------------------------------------- */
+Envsensor.prototype.getProximity = function (id) {
+	return this._proximity.get(id);
+};
+
+// Calls the event handler set to the `on*` property, then emits the event.
+// An exception thrown by a listener is reported as an `error` event. If no
+// `error` listener is registered, the exception is thrown as before.
+Envsensor.prototype._dispatch = function (event_name, handler, data) {
+	// The event is emitted even if the handler throws, so that the listeners
+	// such as the advertisement stream always receive the data
+	let errors = [];
+	if (handler && typeof (handler) === 'function') {
+		try {
+			handler(data);
+		} catch (error) {
+			errors.push(error);
+		}
+	}
+	try {
+		this.emit(event_name, data);
+	} catch (error) {
+		errors.push(error);
+	}
+	errors.forEach((error) => {
+		this.emit('error', error);
+	});
+};
+
+Envsensor.errors = EnvsensorErrors;
+
 module.exports = Envsensor;
@@ -0,0 +1,100 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+
+const INTERVAL = 60;
+
+// The latest record is at the row 3 in the page 5
+const START_TIME = Math.floor(Date.now() / 1000) - (5 * 13 + 3) * INTERVAL - Math.floor(INTERVAL / 2);
+
+const abortedSignal = function () {
+	let controller = new AbortController();
+	controller.abort();
+	return controller.signal;
+};
+
+test('the discovery is stopped when the signal is aborted', () => {
+	let noble = new EnvsensorSimulator();
+	let envsensor = new Envsensor({ noble: noble });
+	let controller = new AbortController();
+	return envsensor.init().then(() => {
+		return assert.rejects(envsensor.discover({ signal: abortedSignal() }), { name: 'AbortError', code: 'ABORT_ERR' });
+	}).then(() => {
+		return assert.rejects(envsensor.discover({ signal: {} }), { name: 'ValidationError', field: 'signal' });
+	}).then(() => {
+		let started = Date.now();
+		setTimeout(() => {
+			controller.abort();
+		}, 20);
+		return assert.rejects(envsensor.discover({ duration: 5000, signal: controller.signal }), { name: 'AbortError' }).then(() => {
+			assert.ok(Date.now() - started < 1000);
+		});
+	}).then(() => {
+		// The scan has been stopped, so another discovery can be started
+		noble.addDevice({ address: 'de:d7:72:3b:71:92' });
+		return envsensor.discover({ quick: true });
+	}).then((device_list) => {
+		assert.strictEqual(device_list.length, 1);
+	});
+});
+
+test('the connection attempt is canceled when the signal is aborted', () => {
+	let noble = new EnvsensorSimulator();
+	let peripheral = noble.addDevice({ address: 'de:d7:72:3b:71:92', responseDelay: 40 });
+	let envsensor = new Envsensor({ noble: noble });
+	let device = null;
+	let controller = new AbortController();
+	return envsensor.init().then(() => {
+		return envsensor.discover({ quick: true });
+	}).then((device_list) => {
+		device = device_list[0];
+		return assert.rejects(device.connect({ signal: abortedSignal() }), { name: 'AbortError' });
+	}).then(() => {
+		assert.strictEqual(peripheral.state, 'disconnected');
+		setTimeout(() => {
+			controller.abort();
+		}, 10);
+		return assert.rejects(device.connect({ signal: controller.signal }), { name: 'AbortError' });
+	}).then(() => {
+		return helper.wait(100);
+	}).then(() => {
+		assert.strictEqual(device.isConnected(), false);
+		assert.strictEqual(peripheral.state, 'disconnected');
+	}).finally(() => {
+		return helper.disconnect(device);
+	});
+});
+
+test('the reads of the flash memory are stopped when the signal is aborted', () => {
+	let ctx = null;
+	let controller = new AbortController();
+	let pages = 0;
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: START_TIME }).then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.getRecordedDataList({ signal: abortedSignal() }), { name: 'AbortError' });
+	}).then(() => {
+		return assert.rejects(ctx.device.downloadAllRecordedData({ signal: abortedSignal() }), { name: 'AbortError' });
+	}).then(() => {
+		let promise = ctx.device.downloadAllRecordedData({
+			signal: controller.signal,
+			onprogress: () => {
+				pages++;
+				if (pages === 2) {
+					controller.abort();
+				}
+			}
+		});
+		return assert.rejects(promise, { name: 'AbortError' });
+	}).then(() => {
+		assert.strictEqual(pages, 2);
+		// The device is still available after the abort
+		return ctx.device.getRecordedDataList({ page: 5 });
+	}).then((res) => {
+		assert.strictEqual(res['dataList'].length, 4);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,131 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const EnvsensorAdvertising = require('../lib/envsensor-advertising.js');
+
+// The manufacturer specific data of the examples in the README.md
+const MANU_D = Buffer.from('d502078e0a6c14330001' + '00be26cd0c63d9ac0019' + '01b3', 'hex');
+const MANU_E = Buffer.from('d502a9990a6514360001' + '00c126660d3b1d240900' + '00b3', 'hex');
+const MANU_C = Buffer.from('d502c8010540c920' + '100000000000000001', 'hex');
+
+const DATA_D = {
+	sequenceNumber: 7,
+	temperature: 27.02,
+	humidity: 52.28,
+	ambientLight: 51,
+	uvIndex: 0.01,
+	pressure: 991.8,
+	soundNoise: 32.77,
+	accelerationX: -988.5,
+	accelerationY: 17.2,
+	accelerationZ: 28.1,
+	discomfortIndex: 74.69,
+	heatStroke: 23.35,
+	batteryVoltage: 2790
+};
+
+const DATA_E = {
+	sequenceNumber: 169,
+	temperature: 27.13,
+	humidity: 52.21,
+	ambientLight: 54,
+	uvIndex: 0.01,
+	pressure: 992.1,
+	soundNoise: 34.3,
+	discomfortIndex: 74.83,
+	heatStroke: 23.4,
+	batteryVoltage: 2790
+};
+
+test('the manufacturer data of the Sensor ADV formats are parsed', () => {
+	assert.deepStrictEqual(EnvsensorAdvertising.parseManufacturerData('IM', MANU_D), DATA_D);
+	assert.deepStrictEqual(EnvsensorAdvertising.parseManufacturerData('EP', MANU_E), DATA_E);
+});
+
+test('the manufacturer data of the Connection Advertise 2 is parsed with the event flags', () => {
+	let data = EnvsensorAdvertising.parseManufacturerData('Env', MANU_C);
+	assert.strictEqual(data['page'], 28);
+	assert.strictEqual(data['row'], 8);
+	assert.strictEqual(data['uniqueId'], '0540c920');
+	assert.strictEqual(data['eventFlag']['temperature']['upperLimit'], true);
+	assert.strictEqual(data['eventFlag']['temperature']['lowerLimit'], false);
+	assert.strictEqual(data['eventFlag']['humidity']['upperLimit'], false);
+	assert.strictEqual(data['eventFlag']['others']['batteryReplacement'], true);
+});
+
+test('the packets not sent by the device are ignored', () => {
+	assert.strictEqual(EnvsensorAdvertising.parseManufacturerData('Rbt', MANU_D), null);
+	assert.strictEqual(EnvsensorAdvertising.parseManufacturerData('IM', Buffer.from('d5', 'hex')), null);
+	// Another company identifier
+	let buf = Buffer.from(MANU_D);
+	buf.writeUInt16LE(0x0059, 0);
+	assert.strictEqual(EnvsensorAdvertising.parseManufacturerData('IM', buf), null);
+});
+
+test('the AD structures are parsed into the local name and the manufacturer data', () => {
+	let flags = Buffer.from('020106', 'hex');
+	let name = Buffer.from('0309494d', 'hex'); // Complete Local Name "IM"
+	let manu = Buffer.concat([Buffer.from([MANU_D.length + 1, 0xff]), MANU_D]);
+	let buf = Buffer.concat([flags, name, manu, Buffer.alloc(3)]);
+	assert.deepStrictEqual(EnvsensorAdvertising.parseAdvertisingData(buf), {
+		localName: 'IM',
+		companyId: '02d5',
+		data: DATA_D
+	});
+	// The AD structure exceeding the packet
+	assert.strictEqual(EnvsensorAdvertising.parseAdvertisingData(buf.slice(0, 20)), null);
+	// No local name
+	assert.strictEqual(EnvsensorAdvertising.parseAdvertisingData(Buffer.concat([flags, manu])), null);
+	assert.strictEqual(EnvsensorAdvertising.parseAdvertisingData('020106'), null);
+});
+
+test('the encoded manufacturer data is the same as the one sent by the device', () => {
+	assert.ok(EnvsensorAdvertising.createManufacturerData('D', DATA_D)['buffer'].equals(MANU_D));
+	assert.ok(EnvsensorAdvertising.createManufacturerData('E', DATA_E)['buffer'].equals(MANU_E));
+	let data = EnvsensorAdvertising.parseManufacturerData('Env', MANU_C);
+	assert.ok(EnvsensorAdvertising.createManufacturerData('C', data)['buffer'].equals(MANU_C));
+});
+
+test('the manufacturer data of all the formats are parsed back into the encoded data', () => {
+	let list = [
+		['A', 'Env', {
+			type: 2,
+			length: 21,
+			uuid: '0C7B5C2A-0F1E-4D3C-8B9A-0123456789AB',
+			major: 513,
+			minor: 772,
+			txPower: 195
+		}],
+		['B', 'Env', {
+			page: 2046,
+			row: 12,
+			uniqueId: '0540c920',
+			temperature: -5.25,
+			humidity: 40.5,
+			ambientLight: 120,
+			pressure: 1013.2,
+			soundNoise: 45.6,
+			batteryVoltage: 3000
+		}],
+		['C', 'Env', { page: 28, row: 8, uniqueId: '0540c920' }],
+		['D', 'IM', DATA_D],
+		['E', 'EP', DATA_E]
+	];
+	list.forEach((item) => {
+		let res = EnvsensorAdvertising.createManufacturerData(item[0], item[2]);
+		assert.strictEqual(res['error'], undefined);
+		let parsed = EnvsensorAdvertising.parseManufacturerData(item[1], res['buffer']);
+		for (let name in item[2]) {
+			assert.deepStrictEqual(parsed[name], item[2][name], item[0] + ': ' + name);
+		}
+	});
+});
+
+test('the invalid data is not encoded', () => {
+	let data = Object.assign({}, DATA_D, { batteryVoltage: 5000 });
+	assert.strictEqual(EnvsensorAdvertising.createManufacturerData('D', data)['error']['field'], 'batteryVoltage');
+	assert.strictEqual(EnvsensorAdvertising.createManufacturerData('C', { page: 2048, row: 0, uniqueId: '0540c920' })['error']['field'], 'page');
+	assert.strictEqual(EnvsensorAdvertising.createManufacturerData('A', { uuid: 'foo' })['error']['field'], 'uuid');
+	assert.strictEqual(EnvsensorAdvertising.createManufacturerData('F', DATA_D)['error']['name'], 'ValidationError');
+	assert.strictEqual(EnvsensorAdvertising.createManufacturerData('D', null)['error']['field'], 'data');
+});
@@ -0,0 +1,103 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+const EnvsensorBeaconMerger = require('../lib/envsensor-beacon-merger.js');
+
+const T0 = Date.UTC(2026, 9, 19, 0, 0, 0);
+
+const createBeacon = function (address, rssi) {
+	return {
+		id: address.replace(/:/g, ''),
+		uuid: address.replace(/:/g, ''),
+		address: address,
+		localName: 'Env',
+		rssi: rssi,
+		companyId: '004c',
+		data: { type: 2, length: 21, uuid: '0C7B5C2A-0F1E-4D3C-8B9A-0123456789AB', major: 1, minor: 2, txPower: 195 }
+	};
+};
+
+const createSensor = function (address, rssi) {
+	return {
+		id: address.replace(/:/g, ''),
+		uuid: address.replace(/:/g, ''),
+		address: address,
+		localName: 'Env',
+		rssi: rssi,
+		companyId: '02d5',
+		data: { page: 3, row: 4, uniqueId: '0540c920', temperature: 21.5, humidity: 50, batteryVoltage: 2900 }
+	};
+};
+
+const at = function (sec) {
+	return new Date(T0 + sec * 1000);
+};
+
+test('the packets of the formats (A) and (B) are combined for each device', () => {
+	let merger = new EnvsensorBeaconMerger();
+	assert.strictEqual(merger.merge(createBeacon('de:d7:72:3b:71:92', -60), at(0)), null);
+	// Another device
+	assert.strictEqual(merger.merge(createSensor('c3:d8:a7:dc:0c:8e', -70), at(0.5)), null);
+	let merged = merger.merge(createSensor('de:d7:72:3b:71:92', -62), at(1));
+	assert.deepStrictEqual(merged, {
+		id: 'ded7723b7192',
+		uuid: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		localName: 'Env',
+		rssi: -62,
+		data: {
+			page: 3,
+			row: 4,
+			uniqueId: '0540c920',
+			temperature: 21.5,
+			humidity: 50,
+			batteryVoltage: 2900,
+			uuid: '0C7B5C2A-0F1E-4D3C-8B9A-0123456789AB',
+			major: 1,
+			minor: 2,
+			txPower: 195
+		},
+		beaconReceived: at(0),
+		sensorReceived: at(1)
+	});
+	// The next beacon is combined with the last sensor data
+	merged = merger.merge(createBeacon('de:d7:72:3b:71:92', -61), at(2));
+	assert.strictEqual(merged['rssi'], -61);
+	assert.strictEqual(merged['sensorReceived'].getTime(), at(1).getTime());
+});
+
+test('the packets received too long apart or of the other formats are not combined', () => {
+	let merger = new EnvsensorBeaconMerger();
+	merger.merge(createBeacon('de:d7:72:3b:71:92', -60), at(0));
+	assert.strictEqual(merger.merge(createSensor('de:d7:72:3b:71:92', -60), at(61)), null);
+	assert.notStrictEqual(merger.merge(createBeacon('de:d7:72:3b:71:92', -60), at(62)), null);
+	let ad = { address: 'de:d7:72:3b:71:92', localName: 'IM', companyId: '02d5', data: { sequenceNumber: 1, temperature: 21.5 } };
+	assert.strictEqual(merger.merge(ad, at(63)), null);
+	merger.reset();
+	assert.strictEqual(merger.merge(createSensor('de:d7:72:3b:71:92', -60), at(64)), null);
+});
+
+test('the `alternatebeacon` events are emitted for a device in the Alternate Beacon mode', () => {
+	let noble = new EnvsensorSimulator();
+	noble.addDevice({ address: 'de:d7:72:3b:71:92', beaconMode: 7 });
+	let envsensor = new Envsensor({ noble: noble });
+	let handled = null;
+	envsensor.onalternatebeacon = (merged) => {
+		handled = merged;
+	};
+	return envsensor.init().then(() => {
+		return new Promise((resolve) => {
+			envsensor.once('alternatebeacon', resolve);
+			envsensor.startScan();
+		});
+	}).then((merged) => {
+		envsensor.stopScan();
+		assert.strictEqual(handled, merged);
+		assert.strictEqual(merged['address'], 'de:d7:72:3b:71:92');
+		assert.strictEqual(typeof (merged['data']['temperature']), 'number');
+		assert.strictEqual(typeof (merged['data']['major']), 'number');
+		assert.strictEqual(typeof (merged['data']['uuid']), 'string');
+	});
+});
@@ -0,0 +1,192 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnvsensorBtsnoop = require('../lib/envsensor-btsnoop.js');
+const EnvsensorErrors = require('../lib/envsensor-errors.js');
+
+// 1970-01-01 in the timestamp of the btsnoop (microseconds since 0000-01-01)
+const EPOCH = 0x00dcddb30f2f8000n;
+const T0 = Date.UTC(2026, 9, 19, 1, 23, 45, 678);
+const ADDRESS = 'de:d7:72:3b:71:92';
+const CONNECTION = 0x0040;
+
+// Returns a btsnoop file of the `datalink` containing the `records`
+// ({time, flags, data})
+const createFile = function (datalink, records) {
+	let header = Buffer.alloc(16);
+	header.write('btsnoop\u0000', 0, 'latin1');
+	header.writeUInt32BE(1, 8);
+	header.writeUInt32BE(datalink, 12);
+	let list = [header];
+	records.forEach((r) => {
+		let hdr = Buffer.alloc(24);
+		hdr.writeUInt32BE(r['data'].length, 0);
+		hdr.writeUInt32BE(r['data'].length, 4);
+		hdr.writeUInt32BE(r['flags'], 8);
+		hdr.writeBigUInt64BE(EPOCH + BigInt(r['time']) * 1000n, 16);
+		list.push(hdr, r['data']);
+	});
+	return Buffer.concat(list);
+};
+
+const createAddress = function (address) {
+	return Buffer.from(address.split(':').reverse().join(''), 'hex');
+};
+
+// HCI LE Meta event
+const createLeMetaEvent = function (params) {
+	return Buffer.concat([Buffer.from([0x3e, params.length]), params]);
+};
+
+// LE Advertising Report of the Sensor ADV format (D)
+const createAdvertisingReport = function () {
+	let manu = Buffer.alloc(22);
+	manu.writeUInt16LE(0x02d5, 0);
+	manu.writeUInt8(5, 2); // sequenceNumber
+	manu.writeInt16LE(2150, 3); // temperature
+	manu.writeUInt8(190, 21); // batteryVoltage
+	let data = Buffer.concat([
+		Buffer.from('020106' + '0309494d', 'hex'),
+		Buffer.from([manu.length + 1, 0xff]),
+		manu
+	]);
+	return createLeMetaEvent(Buffer.concat([
+		Buffer.from([0x02, 0x01, 0x00, 0x01]),
+		createAddress(ADDRESS),
+		Buffer.from([data.length]),
+		data,
+		Buffer.from([0xc2]) // -62 dBm
+	]));
+};
+
+// LE Connection Complete
+const createConnectionComplete = function () {
+	let params = Buffer.alloc(19);
+	params.writeUInt8(0x01, 0);
+	params.writeUInt16LE(CONNECTION, 2);
+	createAddress(ADDRESS).copy(params, 6);
+	return createLeMetaEvent(params);
+};
+
+// ACL packets of a notification of the Latest data (3001) on the handle
+// 0x0019, split into the fragments of the `sizes`
+const createNotification = function (sizes) {
+	let value = Buffer.alloc(19);
+	value.writeUInt8(3, 0); // row
+	value.writeInt16LE(2150, 1); // temperature
+	value.writeInt16LE(5000, 3); // humidity
+	value.writeUInt16LE(2900, 17); // batteryVoltage
+	let att = Buffer.concat([Buffer.from([0x1b, 0x19, 0x00]), value]);
+	let l2cap = Buffer.alloc(4);
+	l2cap.writeUInt16LE(att.length, 0);
+	l2cap.writeUInt16LE(0x0004, 2);
+	let payload = Buffer.concat([l2cap, att]);
+	let packets = [];
+	let offset = 0;
+	sizes.forEach((size, i) => {
+		let hdr = Buffer.alloc(4);
+		hdr.writeUInt16LE(CONNECTION | ((i === 0 ? 0x02 : 0x01) << 12), 0);
+		hdr.writeUInt16LE(size, 2);
+		packets.push(Buffer.concat([hdr, payload.slice(offset, offset + size)]));
+		offset += size;
+	});
+	return packets;
+};
+
+const OPTIONS = { handles: { '0x0019': '3001' } };
+
+const checkEvents = function (res) {
+	assert.strictEqual(res['error'], undefined);
+	let events = res['events'];
+	assert.deepStrictEqual(events.map((e) => {
+		return e['type'];
+	}), ['advertisement', 'connect', 'notify']);
+	let ad = events[0];
+	assert.strictEqual(ad['time'].getTime(), T0);
+	assert.strictEqual(ad['address'], ADDRESS);
+	assert.strictEqual(ad['rssi'], -62);
+	assert.strictEqual(ad['localName'], 'IM');
+	assert.strictEqual(ad['data']['sequenceNumber'], 5);
+	assert.strictEqual(ad['data']['temperature'], 21.5);
+	assert.strictEqual(ad['data']['batteryVoltage'], 2900);
+	assert.strictEqual(events[1]['connection'], CONNECTION);
+	let notify = events[2];
+	assert.strictEqual(notify['time'].getTime(), T0 + 2000);
+	assert.strictEqual(notify['address'], ADDRESS);
+	assert.strictEqual(notify['charUuid'], '3001');
+	assert.strictEqual(notify['charName'], 'Latest data');
+	assert.strictEqual(notify['value'].length, 19);
+	assert.strictEqual(notify['data']['row'], 3);
+	assert.strictEqual(notify['data']['temperature'], 21.5);
+	assert.strictEqual(notify['data']['humidity'], 50);
+	assert.strictEqual(notify['data']['batteryVoltage'], 2900);
+};
+
+test('the advertisements and the notifications are read from the HCI UART log', () => {
+	let packets = createNotification([12, 14]);
+	let buf = createFile(1002, [
+		{ time: T0, flags: 0x03, data: Buffer.concat([Buffer.from([0x04]), createAdvertisingReport()]) },
+		{ time: T0 + 1000, flags: 0x03, data: Buffer.concat([Buffer.from([0x04]), createConnectionComplete()]) },
+		// The ACL fragments are reassembled
+		{ time: T0 + 1500, flags: 0x01, data: Buffer.concat([Buffer.from([0x02]), packets[0]]) },
+		{ time: T0 + 2000, flags: 0x01, data: Buffer.concat([Buffer.from([0x02]), packets[1]]) }
+	]);
+	checkEvents(EnvsensorBtsnoop.parse(buf, OPTIONS));
+	// The handle is unknown without the `handles`
+	assert.strictEqual(EnvsensorBtsnoop.parse(buf)['events'].length, 2);
+});
+
+test('the logs of the HCI un-encapsulated and the Linux monitor are read', () => {
+	let packets = createNotification([26]);
+	let buf = createFile(1001, [
+		{ time: T0, flags: 0x03, data: createAdvertisingReport() },
+		{ time: T0 + 1000, flags: 0x03, data: createConnectionComplete() },
+		{ time: T0 + 2000, flags: 0x01, data: packets[0] }
+	]);
+	checkEvents(EnvsensorBtsnoop.parse(buf, OPTIONS));
+	buf = createFile(2001, [
+		{ time: T0, flags: 0x03, data: createAdvertisingReport() },
+		{ time: T0 + 1000, flags: 0x03, data: createConnectionComplete() },
+		{ time: T0 + 2000, flags: 0x05, data: packets[0] }
+	]);
+	checkEvents(EnvsensorBtsnoop.parse(buf, OPTIONS));
+});
+
+test('a truncated record at the end of the file is ignored', () => {
+	let buf = createFile(2001, [
+		{ time: T0, flags: 0x03, data: createAdvertisingReport() },
+		{ time: T0 + 1000, flags: 0x03, data: createAdvertisingReport() }
+	]);
+	let events = EnvsensorBtsnoop.parse(buf.slice(0, buf.length - 10))['events'];
+	assert.strictEqual(events.length, 1);
+	assert.strictEqual(events[0]['time'].getTime(), T0);
+	// Only a part of the record header
+	events = EnvsensorBtsnoop.parse(buf.slice(0, 16 + 24 + createAdvertisingReport().length + 20))['events'];
+	assert.strictEqual(events.length, 1);
+});
+
+test('the file of an unsupported datalink type is rejected', () => {
+	let buf = createFile(1003, [
+		{ time: T0, flags: 0x03, data: createAdvertisingReport() }
+	]);
+	let error = EnvsensorBtsnoop.parse(buf)['error'];
+	assert.ok(error instanceof EnvsensorErrors.EnvsensorError);
+	assert.strictEqual(error.code, 'ERR_BTSNOOP_FORMAT');
+	assert.strictEqual(EnvsensorBtsnoop.parse(Buffer.from('not a btsnoop file'))['error'].code, 'ERR_BTSNOOP_FORMAT');
+
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'envsensor-'));
+	let file = path.join(dir, 'trace.log');
+	fs.writeFileSync(file, buf);
+	return assert.rejects(EnvsensorBtsnoop.readFile(file), { name: 'EnvsensorError', code: 'ERR_BTSNOOP_FORMAT' }).then(() => {
+		return assert.rejects(EnvsensorBtsnoop.readFile(path.join(dir, 'none.log')), (error) => {
+			assert.strictEqual(error.code, 'ERR_BTSNOOP_FILE');
+			assert.strictEqual(error.cause.code, 'ENOENT');
+			return true;
+		});
+	}).finally(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+});
@@ -0,0 +1,28 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const EnvsensorChars = require('../lib/envsensor-chars.js');
+
+test('the event settings read from the device are written back as they are', () => {
+	// The thresholds of 0.29 can not be represented exactly as the numbers
+	let buf = Buffer.from('101d001d001d001d001d001d000101', 'hex');
+	let data = EnvsensorChars.parseResponse('3013', buf);
+	assert.strictEqual(data['upperLimit']['enabled'], true);
+	assert.strictEqual(data['upperLimit']['threshold'], 0.29);
+	let res = EnvsensorChars.createWriteBuffer('3013', data);
+	assert.strictEqual(res['error'], undefined);
+	assert.strictEqual(res['buffer'].toString('hex'), buf.toString('hex'));
+	data['upperLimit']['threshold'] = 0.295;
+	assert.strictEqual(EnvsensorChars.createWriteBuffer('3013', data)['error'].field, 'upperLimit');
+});
+
+test('the major and the minor of the UUIDs are read as big-endian and written as little-endian', () => {
+	let buf = Buffer.from('0c4c3000770046f4aa96d5e974e32a54' + '0102' + '0304', 'hex');
+	assert.deepStrictEqual(EnvsensorChars.parseResponse('3041', buf), {
+		uuid: '0C4C3000-7700-46F4-AA96D5E974E32A54',
+		major: 0x0102,
+		minor: 0x0304
+	});
+	let res = EnvsensorChars.createWriteBuffer('3041', { uuid: '0C4C3000-7700-46F4-AA96D5E974E32A54', major: 0x0102, minor: 0x0304 });
+	assert.strictEqual(res['buffer'].toString('hex'), '0c4c3000770046f4aa96d5e974e32a54' + '0201' + '0403');
+});
@@ -0,0 +1,88 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnvsensorCheckpointStore = require('../lib/envsensor-checkpoint-store.js');
+
+const createDir = function () {
+	return fs.mkdtempSync(path.join(os.tmpdir(), 'envsensor-'));
+};
+
+test('the checkpoints set at once are all saved in the file', () => {
+	let dir = createDir();
+	let file = path.join(dir, 'checkpoints.json');
+	let store = new EnvsensorCheckpointStore({ path: file });
+	return Promise.all([
+		store.set('a', { unixTime: 1 }),
+		store.set('b', { unixTime: 2 }),
+		store.set('c', { unixTime: 3 })
+	]).then(() => {
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {
+			a: { unixTime: 1 },
+			b: { unixTime: 2 },
+			c: { unixTime: 3 }
+		});
+		// No temporary file is left
+		assert.deepStrictEqual(fs.readdirSync(dir), ['checkpoints.json']);
+		// The checkpoints are loaded by another store
+		let another = new EnvsensorCheckpointStore({ path: file });
+		return Promise.all([another.get('b'), another.get('d')]);
+	}).then((res) => {
+		assert.deepStrictEqual(res, [{ unixTime: 2 }, null]);
+	}).finally(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+});
+
+test('the checkpoints are kept in memory if no path is specified', () => {
+	let store = new EnvsensorCheckpointStore();
+	return store.get('a').then((res) => {
+		assert.strictEqual(res, null);
+		return store.set('a', { unixTime: 1 });
+	}).then(() => {
+		return store.get('a');
+	}).then((res) => {
+		assert.deepStrictEqual(res, { unixTime: 1 });
+	});
+});
+
+test('the checkpoints in memory are not updated if they could not be saved', () => {
+	let dir = createDir();
+	// The parent directory of the file does not exist
+	let store = new EnvsensorCheckpointStore({ path: path.join(dir, 'none', 'checkpoints.json') });
+	return assert.rejects(store.set('a', { unixTime: 1 })).then(() => {
+		return store.get('a');
+	}).then((res) => {
+		assert.strictEqual(res, null);
+	}).finally(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+});
+
+test('the failures of the file are reported as the typed errors with the cause', () => {
+	let dir = createDir();
+	let file = path.join(dir, 'checkpoints.json');
+	fs.writeFileSync(file, '{ broken', 'utf8');
+	let store = new EnvsensorCheckpointStore({ path: file });
+	return assert.rejects(store.get('a'), (error) => {
+		assert.strictEqual(error.name, 'EnvsensorError');
+		assert.strictEqual(error.code, 'ERR_CHECKPOINT_FORMAT');
+		assert.ok(error.cause instanceof SyntaxError);
+		return true;
+	}).then(() => {
+		let broken = new EnvsensorCheckpointStore({ path: path.join(dir, 'none', 'checkpoints.json') });
+		return assert.rejects(broken.set('a', { unixTime: 1 }), (error) => {
+			assert.strictEqual(error.code, 'ERR_CHECKPOINT_FILE');
+			assert.strictEqual(error.cause.code, 'ENOENT');
+			return true;
+		});
+	}).then(() => {
+		assert.throws(() => {
+			new EnvsensorCheckpointStore({ path: '' });
+		}, { name: 'ValidationError', field: 'path' });
+	}).finally(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+});
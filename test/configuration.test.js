@@ -0,0 +1,205 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+
+test('the setters do not write anything in the dry-run mode', () => {
+	let ctx = null;
+	let before = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return ctx.device.getAdvSetting();
+	}).then((res) => {
+		before = res;
+		return ctx.device.setAdvSetting({ beaconMode: 7, indInterval: before['indInterval'], dryRun: true });
+	}).then((diff) => {
+		assert.deepStrictEqual(diff, [{ field: 'beaconMode', current: 8, proposed: 7 }]);
+		return ctx.device.setBasicConfigurations({ measurementInterval: 60, beaconMode: 7, dryRun: true });
+	}).then((diff) => {
+		assert.deepStrictEqual(diff, [
+			{ field: 'measurementInterval', current: 300, proposed: 60 },
+			{ field: 'beaconMode', current: 8, proposed: 7 }
+		]);
+		return Promise.all([ctx.device.getAdvSetting(), ctx.device.getMeasurementInterval()]);
+	}).then((res) => {
+		assert.deepStrictEqual(res[0], before);
+		assert.deepStrictEqual(res[1], { measurementInterval: 300 });
+		return assert.rejects(ctx.device.setAdvSetting({ beaconMode: 7, dryRun: 'yes' }), { name: 'ValidationError', field: 'dryRun' });
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the settings written by the concurrent setters are not lost', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return Promise.all([
+			ctx.device.setAdvSetting({ txPowerLevel: 4 }),
+			ctx.device.setAdvSetting({ indInterval: 2000 }),
+			ctx.device.setBasicConfigurations({ beaconMode: 7 }),
+			ctx.device.transaction([{ method: 'setAdvSetting', params: { silentPeriod: 40 } }])
+		]);
+	}).then(() => {
+		return ctx.device.getAdvSetting();
+	}).then((res) => {
+		assert.strictEqual(res['txPowerLevel'], 4);
+		assert.strictEqual(res['indInterval'], 2000);
+		assert.strictEqual(res['beaconMode'], 7);
+		assert.strictEqual(res['silentPeriod'], 40);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the transaction is rolled back if a write fails', () => {
+	let ctx = null;
+	return helper.connect({}, { errorRetries: 0 }).then((res) => {
+		ctx = res;
+		ctx.peripheral.injectFault({ uuid: '3042', operation: 'write' });
+		let promise = ctx.device.transaction([
+			{ method: 'setMeasurementInterval', params: { measurementInterval: 10 } },
+			{ method: 'setUuid', params: { major: 1 } },
+			{ method: 'setAdvSetting', params: { beaconMode: 7 } }
+		]);
+		return assert.rejects(promise, (error) => {
+			assert.strictEqual(error.name, 'TransactionError');
+			assert.strictEqual(error.code, 'ERR_TRANSACTION');
+			assert.strictEqual(error.cause.name, 'GattError');
+			assert.deepStrictEqual(error.rolledBack, ['setAdvSetting', 'setUuid', 'setMeasurementInterval']);
+			assert.deepStrictEqual(error.rollbackFailed, []);
+			return true;
+		});
+	}).then(() => {
+		return Promise.all([ctx.device.getMeasurementInterval(), ctx.device.getUuid(), ctx.device.getAdvSetting()]);
+	}).then((res) => {
+		assert.strictEqual(res[0]['measurementInterval'], 300);
+		assert.strictEqual(res[1]['major'], 0);
+		assert.strictEqual(res[2]['beaconMode'], 8);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the transaction reports the settings which could not be rolled back', () => {
+	let ctx = null;
+	return helper.connect({}, { errorRetries: 0 }).then((res) => {
+		ctx = res;
+		ctx.peripheral.injectFault({ uuid: '3042', operation: 'write' });
+		// Both the write and the rollback fail
+		ctx.peripheral.injectFault({ uuid: '3011', operation: 'write', count: 2 });
+		let promise = ctx.device.transaction([
+			{ method: 'setMeasurementInterval', params: { measurementInterval: 10 } },
+			{ method: 'setAdvSetting', params: { beaconMode: 7 } }
+		]);
+		return assert.rejects(promise, (error) => {
+			assert.strictEqual(error.name, 'TransactionError');
+			assert.deepStrictEqual(error.rollbackFailed.map((f) => {
+				return f['name'];
+			}), ['setMeasurementInterval']);
+			return true;
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the values written are read back if the `verifyWrites` is enabled', () => {
+	let ctx = null;
+	return helper.connect({}, { verifyWrites: true }).then((res) => {
+		ctx = res;
+		// The intervals are kept in steps of 0.625 msec, so they are tolerated
+		return ctx.device.setAdvSetting({ indInterval: 1001, nonconIndInterval: 101 });
+	}).then(() => {
+		// The device ignores the beacon mode
+		ctx.peripheral.setWriteFilter('3042', (buf) => {
+			buf.writeUInt8(8, 8);
+			return buf;
+		});
+		return assert.rejects(ctx.device.setAdvSetting({ beaconMode: 7 }), (error) => {
+			assert.strictEqual(error.name, 'VerificationError');
+			assert.strictEqual(error.code, 'ERR_VERIFICATION');
+			assert.strictEqual(error.charUuid, '3042');
+			assert.deepStrictEqual(error.mismatches, [{ field: 'beaconMode', expected: 7, actual: 8, tolerance: 0 }]);
+			return true;
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the values written are not read back by default', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		// The device clamps the interval
+		ctx.peripheral.setWriteFilter('3011', (buf) => {
+			buf.writeUInt16LE(600, 0);
+			return buf;
+		});
+		return ctx.device.setMeasurementInterval({ measurementInterval: 60 });
+	}).then(() => {
+		return ctx.device.getMeasurementInterval();
+	}).then((res) => {
+		assert.deepStrictEqual(res, { measurementInterval: 600 });
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the configuration exported from a device is imported into another device as it is', () => {
+	let src = null;
+	let dst = null;
+	let profile = null;
+	return helper.connect().then((res) => {
+		src = res;
+		return src.device.setUuid({ major: 0x0102, minor: 0x0304 });
+	}).then(() => {
+		return src.device.setAdvSetting({ beaconMode: 4, indInterval: 1001 });
+	}).then(() => {
+		return src.device.exportConfiguration();
+	}).then((res) => {
+		profile = res;
+		return helper.connect({ address: 'de:d7:72:3b:71:93' }, { verifyWrites: true });
+	}).then((res) => {
+		dst = res;
+		return dst.device.importConfiguration(profile);
+	}).then((res) => {
+		assert.deepStrictEqual(res['written'], ['beacon', 'advSetting']);
+		return dst.device.exportConfiguration();
+	}).then((res) => {
+		assert.deepStrictEqual(res, profile);
+		return dst.device.importConfiguration(profile);
+	}).then((res) => {
+		assert.deepStrictEqual(res['written'], []);
+		// The `major` and the `minor` are kept when only the `uuid` is written
+		return dst.device.setUuid({ uuid: '0C4C3000-7700-46F4-AA96-D5E974E32A55' });
+	}).then(() => {
+		return dst.device.getUuid();
+	}).then((res) => {
+		assert.strictEqual(res['major'], profile['beacon']['major']);
+		assert.strictEqual(res['minor'], profile['beacon']['minor']);
+	}).finally(() => {
+		return Promise.all([helper.disconnect(src && src.device), helper.disconnect(dst && dst.device)]);
+	});
+});
+
+test('an invalid profile is rejected before anything is written', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return ctx.device.exportConfiguration();
+	}).then((profile) => {
+		profile['measurementInterval'] = 60;
+		profile['advSetting']['beaconMode'] = 6;
+		return assert.rejects(ctx.device.importConfiguration(profile), { name: 'ValidationError', field: 'advSetting.beaconMode' });
+	}).then(() => {
+		return assert.rejects(ctx.device.importConfiguration({ version: 1, unknown: {} }), { name: 'ValidationError', field: 'unknown' });
+	}).then(() => {
+		return ctx.device.getMeasurementInterval();
+	}).then((res) => {
+		assert.strictEqual(res['measurementInterval'], 300);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,96 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+
+const INTERVAL = 60;
+
+// Returns the `recordingStartTime` with which the latest record is at the
+// `row` in the `page` after the flash memory has wrapped `wraps` times
+const getStartTime = function (wraps, page, row) {
+	let idx = (wraps * 2048 + page) * 13 + row;
+	return Math.floor(Date.now() / 1000) - idx * INTERVAL - Math.floor(INTERVAL / 2);
+};
+
+test('the download is resumed from the page across the end of the flash memory', () => {
+	let ctx = null;
+	let start_time = getStartTime(1, 3, 5);
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: start_time }).then((res) => {
+		ctx = res;
+		return ctx.device.downloadAllRecordedData({ page: 2046, row: 10 });
+	}).then((res) => {
+		let pages = [];
+		res['dataList'].forEach((d) => {
+			if (pages.indexOf(d['page']) < 0) {
+				pages.push(d['page']);
+			}
+		});
+		assert.deepStrictEqual(pages, [2046, 2047, 0, 1, 2, 3]);
+		assert.strictEqual(res['dataList'].length, 3 + 13 * 4 + 6);
+		assert.strictEqual(res['nextPage'], 3);
+		assert.strictEqual(res['nextRow'], 6);
+		let first = res['dataList'][0];
+		assert.strictEqual(first['row'], 10);
+		assert.strictEqual(first['unixTime'], start_time + (2046 * 13 + 10) * INTERVAL);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the whole download starts from the page next to the latest one after the flash memory has wrapped', () => {
+	let ctx = null;
+	let controller = new AbortController();
+	let progress = null;
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: getStartTime(1, 3, 5) }).then((res) => {
+		ctx = res;
+		// All the 2048 pages are not downloaded, the download is stopped after the first page
+		let promise = ctx.device.downloadAllRecordedData({
+			signal: controller.signal,
+			onprogress: (p) => {
+				if (!progress) {
+					progress = p;
+					controller.abort();
+				}
+			}
+		});
+		return assert.rejects(promise, { name: 'AbortError' });
+	}).then(() => {
+		assert.strictEqual(progress['page'], 4);
+		assert.strictEqual(progress['totalPages'], 2048);
+		assert.strictEqual(progress['nextPage'], 5);
+		assert.strictEqual(progress['nextRow'], 0);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the download resumed from the `nextPage` resolves with no record if nothing has been recorded', () => {
+	let ctx = null;
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: getStartTime(0, 3, 12) }).then((res) => {
+		ctx = res;
+		return ctx.device.downloadAllRecordedData({ page: 2, row: 0 });
+	}).then((res) => {
+		assert.strictEqual(res['dataList'].length, 13 * 2);
+		assert.strictEqual(res['nextPage'], 4);
+		assert.strictEqual(res['nextRow'], 0);
+		return ctx.device.downloadAllRecordedData({ page: res['nextPage'], row: res['nextRow'] });
+	}).then((res) => {
+		assert.strictEqual(res['dataList'].length, 0);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the download rejects the page out of the recorded pages', () => {
+	let ctx = null;
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: getStartTime(0, 3, 5) }).then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.downloadAllRecordedData({ page: 100 }), (error) => {
+			assert.strictEqual(error.name, 'ValidationError');
+			assert.strictEqual(error.field, 'page');
+			return true;
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,56 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const helper = require('./helper.js');
+
+const errors = Envsensor.errors;
+
+test('the errors inherit from the `EnvsensorError` and have the codes', () => {
+	let error = new errors.GattError('Failed.', '3001', new Error('original'));
+	assert.ok(error instanceof errors.EnvsensorError);
+	assert.ok(error instanceof Error);
+	assert.strictEqual(error.name, 'GattError');
+	assert.strictEqual(error.code, 'ERR_GATT');
+	assert.strictEqual(error.charUuid, '3001');
+	assert.strictEqual(error.cause.message, 'original');
+	assert.strictEqual(new errors.EnvsensorError('Failed.').code, 'ERR_ENVSENSOR');
+	assert.strictEqual(new errors.EnvsensorError('Failed.', 'ERR_BUSY').code, 'ERR_BUSY');
+	let cause = new Error('original');
+	assert.strictEqual(new errors.EnvsensorError('Failed.', 'ERR_BUSY', cause).cause, cause);
+});
+
+test('the invalid parameters are rejected with a `ValidationError`', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.setMeasurementInterval({ measurementInterval: 0 }), (error) => {
+			assert.ok(error instanceof errors.ValidationError);
+			assert.strictEqual(error.code, 'ERR_VALIDATION');
+			assert.strictEqual(error.field, 'measurementInterval');
+			return true;
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the operations of a device not connected are rejected with a `NotConnectedError`', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return ctx.device.disconnect();
+	}).then(() => {
+		return assert.rejects(ctx.device.getLatestData(), { name: 'NotConnectedError', code: 'ERR_NOT_CONNECTED' });
+	});
+});
+
+test('a device not recording is rejected with a `NotRecordingError`', () => {
+	let ctx = null;
+	return helper.connect().then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.getRecordedDataList(), { name: 'NotRecordingError', code: 'ERR_NOT_RECORDING' });
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,53 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+
+test('the `stateChange` events of the Noble object are forwarded to the listeners', () => {
+	let noble = new EnvsensorSimulator();
+	let envsensor = new Envsensor({ noble: noble });
+	let states = [];
+	let listener = (state) => {
+		states.push(state);
+	};
+	envsensor.on('stateChange', listener);
+	envsensor.on('stateChange', listener);
+	noble.setState('poweredOff');
+	assert.deepStrictEqual(states, ['poweredOff', 'poweredOff']);
+	assert.strictEqual(noble.listenerCount('stateChange'), 1);
+	envsensor.removeListener('stateChange', listener);
+	assert.strictEqual(noble.listenerCount('stateChange'), 1);
+	envsensor.removeListener('stateChange', listener);
+	assert.strictEqual(noble.listenerCount('stateChange'), 0);
+});
+
+test('the `Envsensor` objects sharing a Noble object do not leave listeners on it', () => {
+	let noble = new EnvsensorSimulator();
+	for (let i = 0; i < 20; i++) {
+		new Envsensor({ noble: noble });
+	}
+	assert.strictEqual(noble.listenerCount('stateChange'), 0);
+});
+
+test('the advertisements are emitted to all the listeners and the handler', () => {
+	let noble = new EnvsensorSimulator();
+	noble.addDevice({ address: 'de:d7:72:3b:71:92', beaconMode: 4 });
+	let envsensor = new Envsensor({ noble: noble });
+	let received = [];
+	envsensor.onadvertisement = (ad) => {
+		received.push('handler:' + ad['address']);
+	};
+	envsensor.on('advertisement', (ad) => {
+		received.push('listener:' + ad['address']);
+	});
+	return envsensor.init().then(() => {
+		return new Promise((resolve) => {
+			envsensor.once('advertisement', resolve);
+			envsensor.startScan();
+		});
+	}).then(() => {
+		envsensor.stopScan();
+		assert.deepStrictEqual(received.slice(0, 2), ['handler:de:d7:72:3b:71:92', 'listener:de:d7:72:3b:71:92']);
+	});
+});
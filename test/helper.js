@@ -0,0 +1,56 @@
+/* ------------------------------------------------------------------
+* node-omron-envsensor - test/helper.js
+* Date: 2026-10-19
+* ---------------------------------------------------------------- */
+'use strict';
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+
+// The timing options which make the tests run fast against the simulator
+const FAST_OPTIONS = {
+	pageRequestWait: 0,
+	pageResponseWait: 0,
+	rowReadInterval: 0
+};
+
+/* ------------------------------------------------------------------
+* Method: connect([device_params[, connect_params]])
+* - Adds a simulated device, then discovers and connects to it.
+* - device_params : See the `EnvsensorSimulatorPeripheral` constructor.
+* - connect_params: Passed to the `connect()` of the `EnvsensorDevice`.
+* - The `{envsensor, device, peripheral}` is passed to the `resolve()`.
+* ---------------------------------------------------------------- */
+const connect = function (device_params, connect_params) {
+	let noble = new EnvsensorSimulator();
+	let peripheral = noble.addDevice(Object.assign({ address: 'de:d7:72:3b:71:92', responseDelay: 1 }, device_params));
+	let envsensor = new Envsensor({ noble: noble });
+	let device = null;
+	return envsensor.init().then(() => {
+		return envsensor.discover({ quick: true });
+	}).then((device_list) => {
+		device = device_list[0];
+		return device.connect(Object.assign({}, FAST_OPTIONS, connect_params));
+	}).then(() => {
+		return { envsensor: envsensor, device: device, peripheral: peripheral };
+	});
+};
+
+// Disconnects the device if it is connected
+const disconnect = function (device) {
+	if (!device || !device.isConnected()) {
+		return Promise.resolve();
+	}
+	return device.disconnect();
+};
+
+const wait = function (msec) {
+	return new Promise((resolve) => {
+		setTimeout(resolve, msec);
+	});
+};
+
+module.exports = {
+	connect: connect,
+	disconnect: disconnect,
+	wait: wait
+};
@@ -0,0 +1,122 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+const EnvsensorPresence = require('../lib/envsensor-presence.js');
+
+const T0 = Date.UTC(2020, 0, 1, 0, 0, 0);
+const ADDRESS = 'de:d7:72:3b:71:92';
+
+// The manufacturer data of the format (E)
+const MANU_E = 'd502a9990a6514360001' + '00c126660d3b1d240900' + '00b3';
+
+const createAd = function (address, local_name) {
+	return {
+		id: address.replace(/:/g, ''),
+		address: address,
+		localName: local_name,
+		data: {}
+	};
+};
+
+const at = function (sec) {
+	return new Date(T0 + sec * 1000);
+};
+
+test('the silent period is added only to the devices in the Limited Broadcaster modes', () => {
+	let presence = new EnvsensorPresence({
+		timeout: 10000,
+		silentPeriod: 60,
+		devices: {
+			'DE:D7:72:3B:71:92': { beaconMode: 0x03 },
+			'de:d7:72:3b:71:93': { beaconMode: 0x04, silentPeriod: 30 },
+			'ded7723b7194': { silentPeriod: 30 }
+		}
+	});
+	let list = ['de:d7:72:3b:71:92', 'de:d7:72:3b:71:93', 'de:d7:72:3b:71:94', 'de:d7:72:3b:71:95'];
+	let timeouts = list.map((address) => {
+		return presence.update(createAd(address, 'EP'), at(0))['timeout'];
+	});
+	assert.deepStrictEqual(timeouts, [70000, 10000, 40000, 10000]);
+	// Only the devices whose timeouts have passed disappear
+	assert.deepStrictEqual(presence.sweep(at(11)).map((entry) => {
+		return entry['address'];
+	}), ['de:d7:72:3b:71:93', 'de:d7:72:3b:71:95']);
+	assert.strictEqual(presence.get('ded7723b7194')['present'], true);
+	assert.strictEqual(presence.sweep(at(71)).length, 2);
+	// The device appears again
+	assert.strictEqual(presence.update(createAd('de:d7:72:3b:71:95', 'EP'), at(72))['present'], true);
+	assert.strictEqual(presence.update(createAd('de:d7:72:3b:71:95', 'EP'), at(73)), null);
+});
+
+test('the invalid parameters of the presence tracking are rejected', () => {
+	assert.throws(() => {
+		new EnvsensorPresence({ timeout: 999 });
+	}, { name: 'ValidationError', field: 'timeout' });
+	assert.throws(() => {
+		new EnvsensorPresence({ devices: { 'de:d7:72:3b:71:92': { beaconMode: 9 } } });
+	}, { name: 'ValidationError', field: 'devices.de:d7:72:3b:71:92.beaconMode' });
+	assert.throws(() => {
+		new EnvsensorPresence({ devices: { 'de:d7:72:3b:71:92': { silentPeriod: -1 } } });
+	}, { name: 'ValidationError', field: 'devices.de:d7:72:3b:71:92.silentPeriod' });
+});
+
+test('the devices seen by the scan are given the full timeout when the scan is restarted', () => {
+	let presence = new EnvsensorPresence({ timeout: 10000 });
+	presence.update(createAd(ADDRESS, 'IM'), at(0));
+	presence.restart(at(100));
+	assert.strictEqual(presence.sweep(at(105)).length, 0);
+	assert.strictEqual(presence.sweep(at(111)).length, 1);
+});
+
+test('the table of the devices seen is rebuilt by the replay', () => {
+	let noble = new EnvsensorSimulator();
+	noble.addDevice({ address: ADDRESS, beaconMode: 4 });
+	let envsensor = new Envsensor({ noble: noble });
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'envsensor-'));
+	let file = path.join(dir, 'capture.ndjson');
+	let lines = [0, 1, 100].map((sec) => {
+		return JSON.stringify({
+			timestamp: at(sec).toISOString(),
+			id: 'ded7723b7192',
+			address: ADDRESS,
+			rssi: -60,
+			localName: 'EP',
+			manufacturerData: MANU_E
+		});
+	});
+	fs.writeFileSync(file, lines.join('\n') + '\n');
+	let events = [];
+	envsensor.on('appear', (entry) => {
+		events.push('appear:' + entry['lastSeen'].toISOString());
+	});
+	envsensor.on('disappear', (entry) => {
+		events.push('disappear:' + entry['lastSeen'].toISOString());
+	});
+	return envsensor.init().then(() => {
+		// The device is seen by a scan now
+		return new Promise((resolve) => {
+			envsensor.once('advertisement', resolve);
+			envsensor.startScan();
+		});
+	}).then(() => {
+		envsensor.stopScan();
+		events = [];
+		return envsensor.replay({ path: file, speed: 0 });
+	}).then((count) => {
+		assert.strictEqual(count, 3);
+		// The device is absent for 99 seconds in the capture file
+		assert.deepStrictEqual(events, [
+			'appear:' + at(0).toISOString(),
+			'disappear:' + at(1).toISOString(),
+			'appear:' + at(100).toISOString()
+		]);
+		assert.strictEqual(envsensor.getPresence('ded7723b7192')['firstSeen'].getTime(), at(0).getTime());
+	}).finally(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+});
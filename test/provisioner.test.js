@@ -0,0 +1,90 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+
+const createEnvsensor = function (address_list) {
+	let noble = new EnvsensorSimulator();
+	address_list.forEach((address) => {
+		noble.addDevice({ address: address, responseDelay: 1 });
+	});
+	let envsensor = new Envsensor({ noble: noble });
+	return envsensor.init().then(() => {
+		return envsensor;
+	});
+};
+
+test('the devices found are provisioned and the missing ones are reported', () => {
+	let progress = [];
+	return createEnvsensor(['de:d7:72:3b:71:92', 'de:d7:72:3b:71:93']).then((envsensor) => {
+		return envsensor.provision({
+			profile: { version: 1, measurementInterval: 60 },
+			devices: [
+				{ address: 'DE:D7:72:3B:71:92', profile: { beacon: { major: 1, minor: 1 } } },
+				{ address: 'de:d7:72:3b:71:94' },
+				{ address: 'ded7723b7193', profile: { beacon: { major: 1, minor: 2 } } }
+			],
+			duration: 1000,
+			ledDuration: 0,
+			onprogress: (result) => {
+				progress.push(result['address']);
+				// The exception does not stop the others
+				throw new Error('onprogress');
+			}
+		});
+	}).then((report) => {
+		assert.strictEqual(report['succeeded'], 2);
+		assert.strictEqual(report['failed'], 1);
+		assert.deepStrictEqual(progress, ['DE:D7:72:3B:71:92', 'de:d7:72:3b:71:94', 'ded7723b7193']);
+		let results = report['devices'];
+		assert.strictEqual(results[0]['success'], true);
+		assert.strictEqual(results[0]['step'], null);
+		assert.ok(results[0]['written'].indexOf('beacon') >= 0);
+		assert.strictEqual(results[1]['success'], false);
+		assert.strictEqual(results[1]['step'], 'discover');
+		assert.strictEqual(results[1]['id'], null);
+		assert.strictEqual(results[1]['error'].code, 'ERR_NOT_FOUND');
+		assert.strictEqual(results[2]['success'], true);
+		assert.strictEqual(results[2]['step'], null);
+	});
+});
+
+test('the discovery finishes as soon as all the devices listed are found', () => {
+	let started = 0;
+	return createEnvsensor(['de:d7:72:3b:71:92', 'de:d7:72:3b:71:93']).then((envsensor) => {
+		started = Date.now();
+		return envsensor.provision({
+			devices: [{ address: 'de:d7:72:3b:71:93' }],
+			duration: 60000,
+			setTime: false,
+			ledDuration: 0
+		});
+	}).then((report) => {
+		assert.ok(Date.now() - started < 10000);
+		assert.strictEqual(report['succeeded'], 1);
+		assert.strictEqual(report['devices'][0]['id'], 'ded7723b7193');
+	});
+});
+
+test('the invalid profiles are rejected before any device is connected', () => {
+	let envsensor = null;
+	return createEnvsensor(['de:d7:72:3b:71:92']).then((res) => {
+		envsensor = res;
+		return assert.rejects(envsensor.provision({
+			profile: { version: 1, measurementInterval: 0 }
+		}), { name: 'ValidationError', field: 'profile.measurementInterval' });
+	}).then(() => {
+		return assert.rejects(envsensor.provision({
+			profile: { version: 1 },
+			devices: [
+				{ address: 'de:d7:72:3b:71:92' },
+				{ address: 'de:d7:72:3b:71:93', profile: { beacon: 1 } }
+			]
+		}), { name: 'ValidationError', field: 'devices[1].profile.beacon' });
+	}).then(() => {
+		return assert.rejects(envsensor.provision({
+			profile: { version: 2 }
+		}), { name: 'ValidationError', field: 'profile.version' });
+	});
+});
@@ -0,0 +1,107 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+const EnvsensorProximity = require('../lib/envsensor-proximity.js');
+
+const T0 = Date.UTC(2026, 9, 19, 0, 0, 0);
+
+const createAd = function (rssi, data) {
+	return {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		localName: 'EP',
+		rssi: rssi,
+		companyId: '02d5',
+		data: data || { sequenceNumber: 1 }
+	};
+};
+
+const at = function (sec) {
+	return new Date(T0 + sec * 1000);
+};
+
+test('the distance is estimated from the RSSI with the path loss model', () => {
+	let proximity = new EnvsensorProximity({ filter: 'ema', alpha: 1 });
+	let estimate = proximity.update(createAd(-59), at(0));
+	assert.deepStrictEqual(estimate, {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		rssi: -59,
+		smoothedRssi: -59,
+		measuredPower: -59,
+		distance: 1,
+		proximity: 'near',
+		lastSeen: at(0)
+	});
+	estimate = proximity.update(createAd(-79), at(1));
+	assert.strictEqual(estimate['distance'], 10);
+	assert.strictEqual(estimate['proximity'], 'far');
+	estimate = proximity.update(createAd(-50), at(2));
+	assert.strictEqual(estimate['proximity'], 'immediate');
+	// The `txPower` of the format (A) is used as the measured power
+	let beacon = Object.assign(createAd(-70, { txPower: 195 }), { localName: 'Env', companyId: '004c' });
+	estimate = proximity.update(beacon, at(3));
+	assert.strictEqual(estimate['measuredPower'], -61);
+	assert.strictEqual(estimate['distance'], Math.round(Math.pow(10, 9 / 20) * 100) / 100);
+});
+
+test('the RSSI is smoothed by the filter', () => {
+	let ema = new EnvsensorProximity({ filter: 'ema', alpha: 0.5 });
+	ema.update(createAd(-60), at(0));
+	assert.strictEqual(ema.update(createAd(-70), at(1))['smoothedRssi'], -65);
+	let kalman = new EnvsensorProximity();
+	kalman.update(createAd(-60), at(0));
+	let rssi = kalman.update(createAd(-80), at(1))['smoothedRssi'];
+	assert.ok(rssi < -60 && rssi > -80);
+	// A packet without the RSSI does not change the estimate
+	assert.strictEqual(kalman.update(createAd(127), at(2))['smoothedRssi'], rssi);
+});
+
+test('the proximity is unknown if no packet has been received recently', () => {
+	let proximity = new EnvsensorProximity({ maxAge: 5000 });
+	proximity.update(createAd(-60), at(0));
+	let estimate = proximity.get('ded7723b7192', at(6));
+	assert.strictEqual(estimate['proximity'], 'unknown');
+	assert.strictEqual(estimate['distance'], null);
+	// The smoothing starts over
+	assert.strictEqual(proximity.update(createAd(-80), at(7))['smoothedRssi'], -80);
+	assert.strictEqual(proximity.get('unknown'), null);
+	assert.strictEqual(proximity.get(undefined, at(7)).length, 1);
+	proximity.reset();
+	assert.deepStrictEqual(proximity.get(), []);
+});
+
+test('the invalid parameters of the estimation are rejected', () => {
+	assert.throws(() => {
+		new EnvsensorProximity({ filter: 'median' });
+	}, { name: 'ValidationError', field: 'filter' });
+	assert.throws(() => {
+		new EnvsensorProximity({ alpha: 0 });
+	}, { name: 'ValidationError', field: 'alpha' });
+	assert.throws(() => {
+		new EnvsensorProximity({ immediateDistance: 5, nearDistance: 4 });
+	}, { name: 'ValidationError', field: 'nearDistance' });
+	assert.throws(() => {
+		new Envsensor({ noble: new EnvsensorSimulator(), proximity: 'near' });
+	}, { name: 'ValidationError', field: 'proximity' });
+});
+
+test('the proximity of the devices scanned is available', () => {
+	let noble = new EnvsensorSimulator();
+	noble.addDevice({ address: 'de:d7:72:3b:71:92', beaconMode: 4, rssi: -59 });
+	let envsensor = new Envsensor({ noble: noble });
+	return envsensor.init().then(() => {
+		return new Promise((resolve) => {
+			envsensor.once('advertisement', resolve);
+			envsensor.startScan();
+		});
+	}).then((ad) => {
+		envsensor.stopScan();
+		let estimate = envsensor.getProximity(ad['id']);
+		assert.strictEqual(estimate['address'], 'de:d7:72:3b:71:92');
+		assert.strictEqual(estimate['rssi'], -59);
+		assert.strictEqual(estimate['proximity'], 'near');
+	});
+});
@@ -0,0 +1,82 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const EnvsensorQueue = require('../lib/envsensor-queue.js');
+const helper = require('./helper.js');
+
+test('the tasks are run one by one in the order of the priorities', () => {
+	let queue = new EnvsensorQueue();
+	let order = [];
+	let push = (name, priority) => {
+		return queue.push(() => {
+			order.push(name);
+			return helper.wait(1);
+		}, priority);
+	};
+	return Promise.all([
+		push('first', EnvsensorQueue.PRIORITY_LOW),
+		push('low', EnvsensorQueue.PRIORITY_LOW),
+		push('normal', EnvsensorQueue.PRIORITY_NORMAL),
+		push('high', EnvsensorQueue.PRIORITY_HIGH)
+	]).then(() => {
+		assert.deepStrictEqual(order, ['first', 'high', 'normal', 'low']);
+	});
+});
+
+test('a task of a low priority is not starved by the tasks of higher priorities', () => {
+	let queue = new EnvsensorQueue();
+	let order = [];
+	let push = (name, priority) => {
+		return queue.push(() => {
+			order.push(name);
+			// A task of a higher priority keeps coming while each task runs
+			if (order.length < 30) {
+				push('normal', EnvsensorQueue.PRIORITY_NORMAL);
+			}
+			return helper.wait(1);
+		}, priority);
+	};
+	return Promise.all([
+		push('normal', EnvsensorQueue.PRIORITY_NORMAL),
+		push('low', EnvsensorQueue.PRIORITY_LOW)
+	]).then(() => {
+		assert.strictEqual(order.indexOf('low'), EnvsensorQueue.MAX_SKIPS + 1);
+	});
+});
+
+test('the pending tasks are rejected by the `clear()`', () => {
+	let queue = new EnvsensorQueue();
+	let first = queue.push(() => {
+		return helper.wait(5).then(() => {
+			return 'done';
+		});
+	});
+	let second = queue.push(() => {
+		return 'never';
+	});
+	queue.clear(new Error('cleared'));
+	return Promise.all([
+		first.then((res) => {
+			assert.strictEqual(res, 'done');
+		}),
+		assert.rejects(second, { message: 'cleared' })
+	]);
+});
+
+test('the request in progress is rejected right away when the connection is dropped', () => {
+	let ctx = null;
+	let started = 0;
+	return helper.connect({ responseDelay: 300 }, { errorRetries: 0 }).then((res) => {
+		ctx = res;
+		let promise = ctx.device.getLatestData();
+		started = Date.now();
+		setTimeout(() => {
+			ctx.peripheral.simulateDisconnect();
+		}, 50);
+		return assert.rejects(promise, { name: 'NotConnectedError' });
+	}).then(() => {
+		assert.ok(Date.now() - started < 250);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,68 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+
+const INTERVAL = 60;
+
+// The latest record is at the row 3 in the page 5
+const START_TIME = Math.floor(Date.now() / 1000) - (5 * 13 + 3) * INTERVAL - Math.floor(INTERVAL / 2);
+
+const getTime = function (page, row) {
+	return new Date((START_TIME + (page * 13 + row) * INTERVAL) * 1000);
+};
+
+const connect = function () {
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: START_TIME });
+};
+
+test('only the records in the time range are read across the pages', () => {
+	let ctx = null;
+	return connect().then((res) => {
+		ctx = res;
+		return ctx.device.getRecordedDataList({ from: getTime(2, 4), to: getTime(4, 1) });
+	}).then((res) => {
+		let list = res['dataList'];
+		assert.strictEqual(res['page'], 2);
+		assert.strictEqual(res['measurementInterval'], INTERVAL);
+		assert.strictEqual(list.length, 9 + 13 + 2);
+		assert.deepStrictEqual([list[0]['page'], list[0]['row']], [2, 4]);
+		assert.deepStrictEqual([list[list.length - 1]['page'], list[list.length - 1]['row']], [4, 1]);
+		list.forEach((d, i) => {
+			assert.strictEqual(d['unixTime'], getTime(2, 4).getTime() / 1000 + i * INTERVAL);
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the time range is clipped to the records in the flash memory', () => {
+	let ctx = null;
+	return connect().then((res) => {
+		ctx = res;
+		return ctx.device.getRecordedDataList({ from: getTime(5, 1) });
+	}).then((res) => {
+		assert.deepStrictEqual(res['dataList'].map((d) => {
+			return d['row'];
+		}), [1, 2, 3]);
+		return ctx.device.getRecordedDataList({ to: new Date((START_TIME - 1) * 1000) });
+	}).then((res) => {
+		assert.strictEqual(res['dataList'].length, 0);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('an invalid time range is rejected', () => {
+	let ctx = null;
+	return connect().then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.getRecordedDataList({ from: getTime(3, 0), to: getTime(2, 0) }), { name: 'ValidationError', field: 'from' });
+	}).then(() => {
+		return assert.rejects(ctx.device.getRecordedDataList({ from: 'yesterday' }), { name: 'ValidationError', field: 'from' });
+	}).then(() => {
+		return assert.rejects(ctx.device.getRecordedDataList({ page: 1, to: getTime(2, 0) }), { name: 'ValidationError', field: 'page' });
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
@@ -0,0 +1,78 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+const EnvsensorReadingCache = require('../lib/envsensor-reading-cache.js');
+
+const T0 = Date.UTC(2026, 9, 19, 0, 0, 0);
+
+const createAd = function (local_name, company_id, data) {
+	return {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		localName: local_name,
+		rssi: -60,
+		companyId: company_id,
+		data: data
+	};
+};
+
+test('only the latest readings of the formats (B), (D) and (E) are cached', () => {
+	let cache = new EnvsensorReadingCache();
+	cache.update(createAd('IM', '02d5', { sequenceNumber: 1, temperature: 21.5 }), new Date(T0));
+	assert.deepStrictEqual(cache.get('ded7723b7192'), {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		localName: 'IM',
+		format: 'D',
+		rssi: -60,
+		received: new Date(T0),
+		data: { sequenceNumber: 1, temperature: 21.5 }
+	});
+	// The formats (A) and (C) do not replace the readings
+	cache.update(createAd('Env', '004c', { uuid: '0C7B5C2A-0F1E-4D3C-8B9A-0123456789AB', txPower: 195 }), new Date(T0 + 1000));
+	cache.update(createAd('Env', '02d5', { page: 1, row: 2, uniqueId: '0540c920' }), new Date(T0 + 2000));
+	assert.strictEqual(cache.get('ded7723b7192')['format'], 'D');
+	cache.update(createAd('EP', '02d5', { sequenceNumber: 2, temperature: 22 }), new Date(T0 + 3000));
+	assert.strictEqual(cache.get('ded7723b7192')['format'], 'E');
+	cache.update(createAd('Env', '02d5', { page: 1, row: 2, temperature: 22.5 }), new Date(T0 + 4000));
+	let reading = cache.get('ded7723b7192');
+	assert.strictEqual(reading['format'], 'B');
+	assert.strictEqual(reading['data']['temperature'], 22.5);
+	assert.strictEqual(reading['received'].getTime(), T0 + 4000);
+	assert.strictEqual(cache.get('unknown'), null);
+	assert.strictEqual(cache.getAll().length, 1);
+	cache.reset();
+	assert.deepStrictEqual(cache.getAll(), []);
+});
+
+test('the latest readings of the devices scanned are available', () => {
+	let noble = new EnvsensorSimulator();
+	noble.addDevice({ address: 'de:d7:72:3b:71:92', beaconMode: 2 });
+	noble.addDevice({ address: 'de:d7:72:3b:71:93', beaconMode: 8 });
+	let envsensor = new Envsensor({ noble: noble });
+	let seen = {};
+	return envsensor.init().then(() => {
+		return new Promise((resolve) => {
+			envsensor.on('advertisement', (ad) => {
+				seen[ad['address']] = ad;
+				if (Object.keys(seen).length === 2) {
+					resolve();
+				}
+			});
+			envsensor.startScan();
+		});
+	}).then(() => {
+		envsensor.stopScan();
+		let readings = envsensor.getLatestReadings();
+		assert.deepStrictEqual(readings.map((r) => {
+			return r['address'];
+		}), ['de:d7:72:3b:71:92']);
+		let reading = envsensor.getLatestReading(seen['de:d7:72:3b:71:92']['id']);
+		assert.strictEqual(reading['format'], 'D');
+		assert.strictEqual(typeof (reading['data']['temperature']), 'number');
+		// The device in the mode 0x08 advertises only the format (C)
+		assert.strictEqual(envsensor.getLatestReading(seen['de:d7:72:3b:71:93']['id']), null);
+	});
+});
@@ -0,0 +1,80 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+
+const waitFor = function (device, event) {
+	return new Promise((resolve) => {
+		device.once(event, resolve);
+	});
+};
+
+test('the notifications are restarted after the connection is reestablished', () => {
+	let ctx = null;
+	let count = 0;
+	return helper.connect({}, { autoReconnect: { minDelay: 10, maxDelay: 10 } }).then((res) => {
+		ctx = res;
+		ctx.device.onsensordata = () => {
+			count++;
+		};
+		return ctx.device.startMonitoringData();
+	}).then(() => {
+		// Starting the monitoring twice must not add another listener
+		return ctx.device.startMonitoringData();
+	}).then(() => {
+		// The first attempt fails on the way, so the retry must restore the notifications
+		ctx.peripheral.injectFault({ uuid: '3001', operation: 'subscribe' });
+		let reconnected = waitFor(ctx.device, 'reconnect');
+		ctx.peripheral.simulateDisconnect();
+		return reconnected;
+	}).then(() => {
+		let reconnected = waitFor(ctx.device, 'reconnect');
+		ctx.peripheral.simulateDisconnect();
+		return reconnected;
+	}).then(() => {
+		assert.strictEqual(ctx.device.isConnected(), true);
+		assert.strictEqual(ctx.peripheral.isSubscribed('3001'), true);
+		count = 0;
+		ctx.peripheral.notifySensorData();
+		assert.strictEqual(count, 1);
+		return ctx.device.disconnect();
+	}).then(() => {
+		return ctx.device.connect();
+	}).then(() => {
+		// The notifications stopped by the `disconnect()` are not restored
+		assert.strictEqual(ctx.peripheral.isSubscribed('3001'), false);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the `connect()` called while reconnecting takes over the attempt in progress', () => {
+	let ctx = null;
+	let connections = 0;
+	let reconnected = false;
+	return helper.connect({ responseDelay: 40 }, { autoReconnect: { minDelay: 10, maxDelay: 10 } }).then((res) => {
+		ctx = res;
+		ctx.peripheral.on('connect', () => {
+			connections++;
+		});
+		ctx.device.on('reconnect', () => {
+			reconnected = true;
+		});
+		let reconnecting = waitFor(ctx.device, 'reconnecting');
+		ctx.peripheral.simulateDisconnect();
+		return reconnecting;
+	}).then(() => {
+		// The attempt starts after 10 msec, and the connection takes 40 msec
+		return helper.wait(30);
+	}).then(() => {
+		return ctx.device.connect();
+	}).then(() => {
+		assert.strictEqual(reconnected, true);
+		return helper.wait(100);
+	}).then(() => {
+		assert.strictEqual(ctx.device.isConnected(), true);
+		assert.strictEqual(connections, 1);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
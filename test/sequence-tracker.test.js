@@ -0,0 +1,86 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const EnvsensorSequenceTracker = require('../lib/envsensor-sequence-tracker.js');
+
+const T0 = Date.UTC(2026, 9, 19, 0, 0, 0);
+
+// Returns the advertisement data of the format (E) carrying the `seq`
+const createAd = function (seq) {
+	return {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		localName: 'EP',
+		data: { sequenceNumber: seq }
+	};
+};
+
+// Checks the `seq` received `sec` seconds after the `T0`
+const check = function (tracker, seq, sec) {
+	return tracker.check(createAd(seq), new Date(T0 + sec * 1000));
+};
+
+test('the duplicates and the lost measurements are counted across the wrap of the sequence number', () => {
+	let tracker = new EnvsensorSequenceTracker();
+	assert.strictEqual(check(tracker, 254, 0), true);
+	assert.strictEqual(check(tracker, 254, 0.5), false);
+	assert.strictEqual(check(tracker, 255, 1), true);
+	// The 0 and the 1 are lost
+	assert.strictEqual(check(tracker, 2, 4), true);
+	assert.deepStrictEqual(tracker.getStats('ded7723b7192'), {
+		id: 'ded7723b7192',
+		address: 'de:d7:72:3b:71:92',
+		received: 3,
+		duplicates: 1,
+		lost: 2,
+		lossRate: 2 / 5,
+		resets: 0,
+		lastSequenceNumber: 2
+	});
+	assert.strictEqual(tracker.getStats('unknown'), null);
+	// The advertisement data without the sequence number is not tracked
+	assert.strictEqual(tracker.check({ id: 'c3d8a7dc0c8e', localName: 'Rbt', data: {} }), true);
+	assert.strictEqual(tracker.getStats().length, 1);
+});
+
+test('a restart of the device is counted as a reset instead of the lost measurements', () => {
+	let tracker = new EnvsensorSequenceTracker();
+	check(tracker, 200, 0);
+	check(tracker, 201, 1);
+	// The device restarted, the sequence number jumps backwards
+	check(tracker, 0, 3);
+	check(tracker, 1, 4);
+	// The jump forwards which is too large for the time passed
+	check(tracker, 100, 10);
+	let stats = tracker.getStats('ded7723b7192');
+	assert.strictEqual(stats['received'], 5);
+	assert.strictEqual(stats['lost'], 0);
+	assert.strictEqual(stats['resets'], 2);
+	// The measurements can be lost while not heard for a long time
+	check(tracker, 200, 200);
+	assert.strictEqual(tracker.getStats('ded7723b7192')['lost'], 99);
+	assert.strictEqual(tracker.getStats('ded7723b7192')['resets'], 2);
+});
+
+test('only a jump backwards is regarded as a reset if the time is unknown', () => {
+	let tracker = new EnvsensorSequenceTracker();
+	tracker.check(createAd(10));
+	tracker.check(createAd(50));
+	tracker.check(createAd(0));
+	let stats = tracker.getStats('ded7723b7192');
+	assert.strictEqual(stats['lost'], 39);
+	assert.strictEqual(stats['resets'], 1);
+});
+
+test('the measurements made while not scanning are not counted as lost', () => {
+	let tracker = new EnvsensorSequenceTracker();
+	check(tracker, 10, 0);
+	tracker.restart();
+	check(tracker, 20, 5);
+	let stats = tracker.getStats('ded7723b7192');
+	assert.strictEqual(stats['received'], 2);
+	assert.strictEqual(stats['lost'], 0);
+	assert.strictEqual(stats['resets'], 0);
+	tracker.reset();
+	assert.deepStrictEqual(tracker.getStats(), []);
+});
@@ -0,0 +1,45 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+
+test('the simulated device can be discovered and read', () => {
+	let ctx = null;
+	return helper.connect({ readings: { temperature: 21.5 } }).then((res) => {
+		ctx = res;
+		assert.strictEqual(ctx.device.id, 'ded7723b7192');
+		return ctx.device.getDeviceInfo();
+	}).then((info) => {
+		assert.strictEqual(info['manufacturerName'], 'OMRON');
+		return ctx.device.getLatestData();
+	}).then((data) => {
+		assert.strictEqual(data['temperature'], 21.5);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the faults injected make the GATT operations fail', () => {
+	let ctx = null;
+	return helper.connect({}, { errorRetries: 0 }).then((res) => {
+		ctx = res;
+		ctx.peripheral.injectFault({ uuid: '3011', operation: 'read', count: 2 });
+		return assert.rejects(ctx.device.getMeasurementInterval(), { name: 'GattError' });
+	}).then(() => {
+		return assert.rejects(ctx.device.getMeasurementInterval(), { name: 'GattError' });
+	}).then(() => {
+		return ctx.device.getMeasurementInterval();
+	}).then((res) => {
+		assert.deepStrictEqual(res, { measurementInterval: 300 });
+		ctx.peripheral.injectFault({ uuid: '3011', operation: 'read' });
+		ctx.peripheral.clearFaults();
+		return ctx.device.getMeasurementInterval();
+	}).then((res) => {
+		assert.deepStrictEqual(res, { measurementInterval: 300 });
+		assert.throws(() => {
+			ctx.peripheral.injectFault({ uuid: '3011', operation: 'notify' });
+		});
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
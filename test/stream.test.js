@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+const Envsensor = require('../lib/envsensor.js');
+const EnvsensorSimulator = require('../lib/envsensor-simulator.js');
+
+// Starts an `Envsensor` object with the devices advertising every 100 msec
+const start = function (modes) {
+	let noble = new EnvsensorSimulator();
+	modes.forEach((mode, i) => {
+		noble.addDevice({ address: 'de:d7:72:3b:71:9' + i, beaconMode: mode });
+	});
+	let envsensor = new Envsensor({ noble: noble });
+	return envsensor.init().then(() => {
+		return envsensor;
+	});
+};
+
+test('the advertisements are dropped while the buffer of the stream is full', () => {
+	let envsensor = null;
+	let stream = null;
+	return start([4, 4, 4]).then((res) => {
+		envsensor = res;
+		stream = envsensor.advertisements({ highWaterMark: 2 });
+		// Nothing is read for a while
+		return helper.wait(400);
+	}).then(() => {
+		assert.strictEqual(stream.readableLength, 2);
+		assert.ok(stream.droppedCount > 0);
+		let dropped = stream.droppedCount;
+		let received = [];
+		stream.on('data', (ad) => {
+			received.push(ad);
+		});
+		return helper.wait(300).then(() => {
+			// The advertisements are pushed again once they are read
+			assert.ok(received.length > 2);
+			assert.strictEqual(stream.droppedCount, dropped);
+			let ended = new Promise((resolve) => {
+				stream.once('end', resolve);
+			});
+			envsensor.stopScan();
+			return ended;
+		});
+	});
+});
+
+test('the scan is stopped when the loop reading the stream is exited', () => {
+	let envsensor = null;
+	let names = [];
+	return start([4, 2, 8]).then((res) => {
+		envsensor = res;
+		let loop = async () => {
+			for await (let ad of envsensor.advertisements({ localName: ['IM'] })) {
+				names.push(ad['localName']);
+				if (names.length === 3) {
+					break;
+				}
+			}
+		};
+		return loop();
+	}).then(() => {
+		assert.deepStrictEqual(names, ['IM', 'IM', 'IM']);
+		// Another scan can be started
+		envsensor.startScan();
+		envsensor.stopScan();
+	});
+});
+
+test('the stream receives the advertisements even if the handler throws', () => {
+	let envsensor = null;
+	let errors = 0;
+	return start([4]).then((res) => {
+		envsensor = res;
+		envsensor.onadvertisement = () => {
+			throw new Error('The handler is broken.');
+		};
+		envsensor.on('error', () => {
+			errors++;
+		});
+		let stream = envsensor.advertisements();
+		return new Promise((resolve) => {
+			stream.once('data', resolve);
+		});
+	}).then((ad) => {
+		envsensor.stopScan();
+		assert.strictEqual(ad['localName'], 'EP');
+		assert.ok(errors > 0);
+	});
+});
@@ -0,0 +1,85 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const helper = require('./helper.js');
+const EnvsensorCheckpointStore = require('../lib/envsensor-checkpoint-store.js');
+
+const INTERVAL = 60;
+
+// The latest record is at the row 4 in the page 1
+const START_TIME = Math.floor(Date.now() / 1000) - (1 * 13 + 4) * INTERVAL - Math.floor(INTERVAL / 2);
+
+const connect = function () {
+	return helper.connect({ measurementInterval: INTERVAL, recordingStartTime: START_TIME });
+};
+
+test('only the records recorded since the last sync are downloaded', () => {
+	let ctx = null;
+	let store = new EnvsensorCheckpointStore();
+	return connect().then((res) => {
+		ctx = res;
+		return ctx.device.syncRecordedData({ store: store });
+	}).then((res) => {
+		assert.strictEqual(res['key'], 'de:d7:72:3b:71:92');
+		assert.strictEqual(res['dataList'].length, 13 + 5);
+		assert.deepStrictEqual(res['checkpoint'], {
+			page: 1,
+			row: 4,
+			unixTime: START_TIME + (13 + 4) * INTERVAL,
+			measurementInterval: INTERVAL
+		});
+		return store.get('de:d7:72:3b:71:92');
+	}).then((checkpoint) => {
+		assert.strictEqual(checkpoint['row'], 4);
+		return ctx.device.syncRecordedData({ store: store });
+	}).then((res) => {
+		// Nothing has been recorded since then, the checkpoint is kept
+		assert.strictEqual(res['dataList'].length, 0);
+		assert.strictEqual(res['checkpoint']['row'], 4);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('a store implemented synchronously can be used', () => {
+	let ctx = null;
+	let saved = {};
+	let store = {
+		get: (key) => {
+			return saved[key] || null;
+		},
+		set: (key, checkpoint) => {
+			saved[key] = checkpoint;
+		}
+	};
+	return connect().then((res) => {
+		ctx = res;
+		saved['sensor'] = { page: 1, row: 1, unixTime: START_TIME + 14 * INTERVAL, measurementInterval: INTERVAL };
+		return ctx.device.syncRecordedData({ store: store, key: 'sensor' });
+	}).then((res) => {
+		assert.deepStrictEqual(res['dataList'].map((d) => {
+			return d['row'];
+		}), [2, 3, 4]);
+		assert.strictEqual(saved['sensor']['row'], 4);
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});
+
+test('the failure of the store is passed to the `reject()` function', () => {
+	let ctx = null;
+	let store = {
+		get: () => {
+			throw new Error('The store is broken.');
+		},
+		set: () => { }
+	};
+	return connect().then((res) => {
+		ctx = res;
+		return assert.rejects(ctx.device.syncRecordedData({ store: store }), { message: 'The store is broken.' });
+	}).then(() => {
+		return assert.rejects(ctx.device.syncRecordedData({ store: { get: () => { } } }), { name: 'ValidationError', field: 'store' });
+	}).finally(() => {
+		return helper.disconnect(ctx && ctx.device);
+	});
+});